@@ -1,34 +1,262 @@
+import RateLimiter from './RateLimiter.js';
+import ResponseCache from './ResponseCache.js';
+import Session from './Session.js';
+import {createErrorFromResponse, NetworkError, ParseError, RateLimitError} from './errors.js';
+import {delay} from '../utils.js';
+
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  // 999 is what LinkedIn answers when it thinks you are a bot.
+  retryOn: [429, 500, 502, 503, 504, 999]
+};
+
+// Methods that are safe to send twice. The others (sending a message, an
+// invitation...) may have been processed when the response was lost or
+// failed, so they are only retried on 429, which rejects the request unseen.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Deep copies a parsed JSON body.
+ * @param  {Object} body
+ * @return {Object}
+ */
+function cloneBody(body) {
+  return JSON.parse(JSON.stringify(body));
+}
+
 export default class APIClient {
   /**
-   * A fetch abstraction.
+   * @param  {Object} options
+   * @param  {Object} options.retry         overrides for DEFAULT_RETRY_POLICY.
+   * @param  {Object} options.rateLimit     per host token bucket settings, see RateLimiter.
+   * @param  {Number} options.maxConcurrent maximum number of requests in flight.
+   * @param  {Function} options.fetch       fetch implementation, defaults to the global fetch.
+   * @param  {Object} options.session       Session or the cookies to build one, required outside the browser.
+   * @param  {Object} options.cache         {store, ttl, defaultTTL} see ResponseCache, GET requests are not cached without it.
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((url, requestOptions) => fetch(url, requestOptions));
+    this.session = null;
+    if (options.session) {
+      this.session = (options.session instanceof Session) ? options.session : new Session(options.session);
+    }
+    this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, options.retry);
+    this.rateLimiter = new RateLimiter(options.rateLimit);
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.cache = options.cache ? new ResponseCache(options.cache) : null;
+    this._activeRequests = 0;
+    this._queuedRequests = [];
+    this._inFlightRequests = {};
+  }
+
+  /**
+   * A fetch abstraction. Besides the fetch options, requestOptions accepts
+   * raw, to get the Response instead of the parsed body, resource, the name
+   * used to identify the request in errors and in the cache ttl settings,
+   * and fresh, to skip the cache.
+   * GET requests for an url that is already being fetched share the request
+   * in flight, fresh ones only share fresh requests.
    * @param  {String} url
    * @param  {Object} requestOptions
-   * @return {Promise}
+   * @return {Promise} rejects with an APIError subclass.
    */
   _sendRequest(url, requestOptions) {
     if (requestOptions.constructor !== Object || Object.keys(requestOptions).length === 0) {
       return Promise.reject('A request options object is required');
     }
 
-    // if the body exists and is not a string, then stringify it.
-    if (requestOptions.body && requestOptions.body.constructor !== String) {
+    // if the body is a plain object or an array, then send it as JSON. Other
+    // bodies (strings, FormData, URLSearchParams...) go through untouched.
+    if (requestOptions.body && (requestOptions.body.constructor === Object || Array.isArray(requestOptions.body))) {
       requestOptions.body = JSON.stringify(requestOptions.body);
+      if (requestOptions.headers && requestOptions.headers.constructor === Object &&
+      !Object.keys(requestOptions.headers).some(key => key.toLowerCase() === 'content-type')) {
+        requestOptions.headers['content-type'] = 'application/json';
+      }
     }
 
-    return fetch(url, requestOptions)
-    .then((res) => {
-      if (!res.ok) {
-        throw res;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    // a Response body can only be read once, so raw requests are never shared.
+    if (method !== 'GET' || requestOptions.raw) {
+      return this._fetchBody(url, requestOptions);
+    }
+
+    // every caller gets its own copy, so none of them can alter what the
+    // others get. A fresh request must not get what a cached read resolves.
+    const inFlightKey = requestOptions.fresh ? `fresh:${url}` : url;
+    if (this._inFlightRequests[inFlightKey]) {
+      return this._inFlightRequests[inFlightKey].then(cloneBody);
+    }
+
+    const ttl = this.cache ? this.cache.getTTL(requestOptions.resource) : 0;
+    const cached = (ttl > 0 && !requestOptions.fresh) ? this.cache.get(url) : Promise.resolve(undefined);
+    const request = cached
+    .then((body) => {
+      if (body !== undefined) {
+        return body;
       }
 
+      return this._fetchBody(url, requestOptions)
+      .then((body) => {
+        if (ttl > 0) {
+          this.cache.set(url, body, ttl);
+        }
+        return body;
+      });
+    });
+
+    const done = () => {
+      delete this._inFlightRequests[inFlightKey];
+    };
+    this._inFlightRequests[inFlightKey] = request;
+    request.then(done, done);
+    return request.then(cloneBody);
+  }
+
+  /**
+   * Sends a request and parses its body.
+   * @param  {String} url
+   * @param  {Object} requestOptions
+   * @return {Promise}
+   */
+  _fetchBody(url, requestOptions) {
+    return this._attemptRequest(url, requestOptions, 0)
+    .then((res) => {
       if (requestOptions.raw) {
         return res;
       }
 
-      return res.json();
+      // POST and DELETE often answer 201 or 204 without a body.
+      return res.text()
+      .then(text => (text ? JSON.parse(text) : {}))
+      .catch((err) => {
+        throw new ParseError(`could not parse response: ${err.message}`, {
+          status: res.status,
+          url,
+          resource: requestOptions.resource
+        });
+      });
+    });
+  }
+
+  /**
+   * Sends a request, retrying with exponential backoff when the response
+   * status is listed in the retry policy or the network failed. Requests
+   * that are not idempotent are only retried on 429.
+   * @param  {String} url
+   * @param  {Object} requestOptions
+   * @param  {Number} attempt number of attempts made so far.
+   * @return {Promise}
+   */
+  _attemptRequest(url, requestOptions, attempt) {
+    const policy = this.retryPolicy;
+    const idempotent = IDEMPOTENT_METHODS.indexOf((requestOptions.method || 'GET').toUpperCase()) !== -1;
+    const retryOn = idempotent ? policy.retryOn : policy.retryOn.filter(status => status === 429);
+
+    return this.rateLimiter.removeToken(url)
+    .then(() => this._acquireSlot())
+    .then(() => this.fetch(url, requestOptions))
+    .then((res) => {
+      this._releaseSlot();
+      if (this.session) {
+        this.session.updateFromResponse(res);
+      }
+
+      if (res.ok) {
+        return res;
+      }
+
+      // waiting less than Retry-After asks for would only get rejected again.
+      const retryAfter = this._getRetryAfter(res);
+      if (attempt < policy.retries && retryOn.indexOf(res.status) !== -1 && !(retryAfter > policy.maxDelay)) {
+        return delay(this._getRetryDelay(attempt, res))
+        .then(() => this._attemptRequest(url, requestOptions, attempt + 1));
+      }
+
+      const error = createErrorFromResponse(res, {url, resource: requestOptions.resource});
+      if (retryAfter !== null && error instanceof RateLimitError) {
+        error.retryAfter = retryAfter;
+      }
+      throw error;
+    }, (err) => {
+      // fetch only rejects on network failures.
+      this._releaseSlot();
+      if (idempotent && attempt < policy.retries) {
+        return delay(this._getRetryDelay(attempt))
+        .then(() => this._attemptRequest(url, requestOptions, attempt + 1));
+      }
+
+      throw new NetworkError(err.message, {url, resource: requestOptions.resource, cause: err});
     });
   }
 
+  /**
+   * Calculates how long to wait before the next attempt. Honors the
+   * Retry-After header when the server sends one, callers do not retry when
+   * it is longer than maxDelay.
+   * @param  {Number} attempt
+   * @param  {Object} res     optional Response of the failed attempt.
+   * @return {Number} milliseconds
+   */
+  _getRetryDelay(attempt, res) {
+    const policy = this.retryPolicy;
+    const retryAfter = this._getRetryAfter(res);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+
+    let ms = Math.min(policy.minDelay * Math.pow(policy.factor, attempt), policy.maxDelay);
+    if (policy.jitter) {
+      // "full jitter", spreads out retries of requests that failed together.
+      ms = Math.random() * ms;
+    }
+    return Math.round(ms);
+  }
+
+  /**
+   * @param  {Object} res optional Response.
+   * @return {Number} milliseconds the Retry-After header asks to wait, in
+   *                  seconds or as a date, null without a valid one.
+   */
+  _getRetryAfter(res) {
+    const retryAfter = res && res.headers ? res.headers.get('retry-after') : null;
+    if (!retryAfter) {
+      return null;
+    }
+
+    const ms = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    return isNaN(ms) ? null : Math.max(ms, 0);
+  }
+
+  /**
+   * Resolves once the amount of requests in flight is below maxConcurrent.
+   * @return {Promise}
+   */
+  _acquireSlot() {
+    if (this._activeRequests < this.maxConcurrent) {
+      this._activeRequests++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this._queuedRequests.push(resolve));
+  }
+
+  /**
+   * Hands the slot of a finished request to the next queued request.
+   */
+  _releaseSlot() {
+    const next = this._queuedRequests.shift();
+    if (next) {
+      next();
+      return;
+    }
+    this._activeRequests--;
+  }
+
   /**
    * Attempt of an abstract method.
    * @throws {Error} If you call this method directly.
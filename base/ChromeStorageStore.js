@@ -0,0 +1,71 @@
+import {getLocalStorage, setLocalStorage, removeLocalStorage} from '../utils.js';
+
+/**
+ * Cache store backed by chrome.storage.local, so the cache survives the
+ * extension being reloaded and is shared by its pages. ResponseCache only
+ * drops an expired entry when its key is read again, so set also removes
+ * every expired entry under the prefix, at most once per sweepInterval.
+ */
+export default class ChromeStorageStore {
+  /**
+   * @param  {Object} options
+   * @param  {String} options.prefix        prepended to every key, defaults to voyager:
+   * @param  {Number} options.sweepInterval milliseconds between two sweeps of the expired
+   *                                        entries, defaults to 10 minutes.
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'voyager:';
+    this.sweepInterval = options.sweepInterval || 10 * 60 * 1000;
+    this.lastSweep = 0;
+  }
+
+  /**
+   * @param  {String} key
+   * @return {Promise} resolves the entry or undefined.
+   */
+  get(key) {
+    const storageKey = this.prefix + key;
+    return getLocalStorage(storageKey)
+    .then(items => items[storageKey]);
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {Object} entry
+   * @return {Promise}
+   */
+  set(key, entry) {
+    return this._sweep()
+    .then(() => setLocalStorage({[this.prefix + key]: entry}));
+  }
+
+  /**
+   * @param  {String} key
+   * @return {Promise}
+   */
+  delete(key) {
+    return removeLocalStorage(this.prefix + key);
+  }
+
+  /**
+   * Removes the entries of this store whose expiresAt passed. Failures are
+   * ignored, the next sweep tries again.
+   * @return {Promise}
+   */
+  _sweep() {
+    if (Date.now() - this.lastSweep < this.sweepInterval) {
+      return Promise.resolve();
+    }
+
+    this.lastSweep = Date.now();
+    return getLocalStorage(null)
+    .then((items) => {
+      const now = Date.now();
+      const expired = Object.keys(items).filter((storageKey) => {
+        return storageKey.indexOf(this.prefix) === 0 && !!items[storageKey] && items[storageKey].expiresAt <= now;
+      });
+      return expired.length > 0 ? removeLocalStorage(expired) : undefined;
+    })
+    .catch(() => {});
+  }
+}
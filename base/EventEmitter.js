@@ -0,0 +1,51 @@
+/**
+ * Minimal event emitter that works in the browser and in Node.
+ */
+export default class EventEmitter {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * @param  {String} event
+   * @param  {Function} listener
+   * @return {EventEmitter} this, for chaining.
+   */
+  on(event, listener) {
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return this;
+  }
+
+  /**
+   * @param  {String} event
+   * @param  {Function} listener
+   * @return {EventEmitter} this, for chaining.
+   */
+  off(event, listener) {
+    this._listeners[event] = (this._listeners[event] || []).filter(l => l !== listener);
+    return this;
+  }
+
+  /**
+   * Calls the listeners of an event. A failing listener does not stop the
+   * others, nor whatever emitted the event: its error is emitted as an error
+   * event, or thrown asynchronously if nothing listens to those.
+   * @param  {String} event
+   * @param  {*} payload
+   */
+  emit(event, payload) {
+    (this._listeners[event] || []).slice().forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (err) {
+        if (event !== 'error' && (this._listeners.error || []).length > 0) {
+          this.emit('error', err);
+        } else {
+          setTimeout(() => {
+            throw err;
+          });
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * In memory cache store that evicts the least recently used entries.
+ * Stores implement get, set and delete, returning promises.
+ */
+export default class MemoryStore {
+  /**
+   * @param  {Object} options
+   * @param  {Number} options.maxEntries defaults to 500.
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    // Map keeps insertion order, the first key is the least recently used.
+    this.entries = new Map();
+  }
+
+  /**
+   * @param  {String} key
+   * @return {Promise} resolves the entry or undefined.
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return Promise.resolve(undefined);
+    }
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return Promise.resolve(entry);
+  }
+
+  /**
+   * @param  {String} key
+   * @param  {Object} entry
+   * @return {Promise}
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * @param  {String} key
+   * @return {Promise}
+   */
+  delete(key) {
+    this.entries.delete(key);
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Async iterator over a paged Voyager collection.
+ *
+ *   for await (const item of new Paginator(fetchPage, {limit: 50})) {...}
+ *
+ * fetchPage(start, count, cursor) must resolve a Voyager collection
+ * response, that is {elements, paging: {start, count, total}}. Iteration
+ * stops when a page comes back empty, paging.total is reached or limit items
+ * were yielded. Collections paged by cursor (messaging uses createdBefore)
+ * pass options.cursor, which reads the cursor of the next page from the
+ * current one.
+ */
+export default class Paginator {
+  /**
+   * @param  {Function} fetchPage
+   * @param  {Object} options
+   * @param  {Number} options.start    index of the first element to fetch.
+   * @param  {Number} options.count    page size.
+   * @param  {Number} options.limit    maximum number of items to yield.
+   * @param  {Function} options.map    normalizes every element, falsy results are skipped.
+   * @param  {Function} options.cursor gets a raw page and returns the cursor of the next one.
+   */
+  constructor(fetchPage, options = {}) {
+    this.fetchPage = fetchPage;
+    this.start = options.start || 0;
+    this.count = options.count || 10;
+    this.limit = options.limit || Infinity;
+    this.map = options.map || (element => element);
+    this.getCursor = options.cursor || null;
+    this.cursor = undefined;
+    this.buffer = [];
+    this.yielded = 0;
+    this.done = false;
+    this._pending = Promise.resolve();
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * @return {Promise} resolves {value, done}
+   */
+  next() {
+    // calls are chained so concurrent next() calls never fetch the same page twice.
+    const result = this._pending.then(() => this._next());
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Stops the iteration, called by for await when the loop is left early.
+   * @return {Promise}
+   */
+  return() {
+    this.done = true;
+    this.buffer = [];
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  /**
+   * Collects every remaining item.
+   * @return {Promise} resolves an Array
+   */
+  toArray() {
+    const items = [];
+    const collect = () => {
+      return this.next()
+      .then((result) => {
+        if (result.done) {
+          return items;
+        }
+        items.push(result.value);
+        return collect();
+      });
+    };
+    return collect();
+  }
+
+  _next() {
+    if (this.yielded >= this.limit) {
+      return this.return();
+    }
+
+    if (this.buffer.length > 0) {
+      this.yielded++;
+      return {value: this.buffer.shift(), done: false};
+    }
+
+    if (this.done) {
+      return {value: undefined, done: true};
+    }
+
+    return this._fetchNextPage().then(() => this._next());
+  }
+
+  /**
+   * Fetches the next page into the buffer.
+   * @return {Promise}
+   */
+  _fetchNextPage() {
+    return Promise.resolve(this.fetchPage(this.start, this.count, this.cursor))
+    .then((page) => {
+      const elements = (page && page.elements) || [];
+      const total = page && page.paging ? page.paging.total : undefined;
+
+      this.start += this.count;
+      this.buffer = elements.map(this.map).filter(element => !!element);
+
+      if (elements.length === 0 || (typeof total === 'number' && this.start >= total)) {
+        this.done = true;
+      }
+
+      if (this.getCursor) {
+        this.cursor = this.getCursor(page);
+        if (this.cursor === undefined || this.cursor === null) {
+          this.done = true;
+        }
+      }
+    })
+    .catch((err) => {
+      this.done = true;
+      throw err;
+    });
+  }
+}
@@ -0,0 +1,72 @@
+import {delay} from '../utils.js';
+
+/**
+ * Token bucket rate limiter. Every host gets its own bucket, so requests to
+ * the CDN do not eat into the Voyager API budget.
+ */
+export default class RateLimiter {
+  /**
+   * @param  {Object} options
+   * @param  {Number} options.tokensPerInterval tokens added to a bucket on every interval.
+   * @param  {Number} options.interval          interval length in milliseconds.
+   * @param  {Number} options.bucketSize        maximum amount of tokens a bucket can hold.
+   */
+  constructor(options = {}) {
+    this.tokensPerInterval = options.tokensPerInterval || 5;
+    this.interval = options.interval || 1000;
+    this.bucketSize = options.bucketSize || this.tokensPerInterval;
+    this.buckets = {};
+  }
+
+  /**
+   * Takes a token from the bucket of the url's host. Resolves once the token
+   * is available.
+   * @param  {String} url
+   * @return {Promise}
+   */
+  removeToken(url) {
+    const bucket = this._refill(this._getHost(url));
+
+    // reserve the token right away, a negative balance is the queue of
+    // callers waiting for the bucket to refill.
+    bucket.tokens -= 1;
+    if (bucket.tokens >= 0) {
+      return Promise.resolve();
+    }
+
+    return delay(Math.ceil(-bucket.tokens * this.interval / this.tokensPerInterval));
+  }
+
+  /**
+   * Adds the tokens accrued since the last refill to a host's bucket.
+   * @param  {String} host
+   * @return {Object} bucket
+   */
+  _refill(host) {
+    const now = Date.now();
+    let bucket = this.buckets[host];
+
+    if (!bucket) {
+      bucket = this.buckets[host] = {tokens: this.bucketSize, lastRefill: now};
+      return bucket;
+    }
+
+    const accrued = (now - bucket.lastRefill) * this.tokensPerInterval / this.interval;
+    bucket.tokens = Math.min(this.bucketSize, bucket.tokens + accrued);
+    bucket.lastRefill = now;
+    return bucket;
+  }
+
+  /**
+   * Extracts the host from an url.
+   * @param  {String} url
+   * @return {String}
+   */
+  _getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (e) {
+      return '';
+    }
+  }
+}
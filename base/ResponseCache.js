@@ -0,0 +1,77 @@
+import MemoryStore from './MemoryStore.js';
+
+/**
+ * Caches parsed response bodies by url. How long a body is kept depends on
+ * the resource it belongs to, resources without a ttl are not cached.
+ *
+ * Any object with get(key), set(key, entry) and delete(key) works as store,
+ * they may return promises or plain values.
+ */
+export default class ResponseCache {
+  /**
+   * @param  {Object} options
+   * @param  {Object} options.store      defaults to a MemoryStore.
+   * @param  {Object} options.ttl        milliseconds to keep each resource, keyed by resource name.
+   * @param  {Number} options.defaultTTL for resources missing in ttl, defaults to 0 (not cached).
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl || {};
+    this.defaultTTL = options.defaultTTL || 0;
+  }
+
+  /**
+   * @param  {String} resource
+   * @return {Number} milliseconds, 0 if the resource is not cached.
+   */
+  getTTL(resource) {
+    return this.ttl.hasOwnProperty(resource) ? this.ttl[resource] : this.defaultTTL;
+  }
+
+  /**
+   * Resolves a copy of the cached body, or undefined if it is missing or
+   * expired. Store failures count as a miss.
+   * @param  {String} key
+   * @return {Promise}
+   */
+  get(key) {
+    return Promise.resolve()
+    .then(() => this.store.get(key))
+    .then((entry) => {
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        return Promise.resolve(this.store.delete(key)).then(() => undefined);
+      }
+
+      return JSON.parse(entry.body);
+    })
+    .catch(() => undefined);
+  }
+
+  /**
+   * Stores a copy of a body, so callers mutating their result do not alter
+   * the cache. Store failures are ignored.
+   * @param  {String} key
+   * @param  {Object} body
+   * @param  {Number} ttl  milliseconds
+   * @return {Promise}
+   */
+  set(key, body, ttl) {
+    return Promise.resolve()
+    .then(() => this.store.set(key, {body: JSON.stringify(body), expiresAt: Date.now() + ttl}))
+    .catch(() => {});
+  }
+
+  /**
+   * @param  {String} key
+   * @return {Promise}
+   */
+  delete(key) {
+    return Promise.resolve()
+    .then(() => this.store.delete(key))
+    .catch(() => {});
+  }
+}
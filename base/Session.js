@@ -0,0 +1,121 @@
+import {getCookieValue} from '../utils.js';
+
+/**
+ * Cookie jar for clients that run outside of the browser, where fetch does
+ * not attach the linkedin.com cookies for us.
+ */
+export default class Session {
+  /**
+   * @param  {Object|String} cookies {li_at, JSESSIONID} or a Cookie header string.
+   */
+  constructor(cookies) {
+    this.cookies = {};
+
+    if (typeof cookies === 'string') {
+      cookies.split(';').forEach((cookie) => {
+        let separator = cookie.indexOf('=');
+        if (separator !== -1) {
+          this.cookies[cookie.substring(0, separator).trim()] = cookie.substring(separator + 1).trim();
+        }
+      });
+    } else if (cookies && cookies.constructor === Object) {
+      Object.assign(this.cookies, cookies);
+    }
+  }
+
+  /**
+   * Builds the value of the Cookie header.
+   * @return {String}
+   */
+  getCookieString() {
+    return Object.keys(this.cookies)
+    .map(key => `${key}=${this.cookies[key]}`)
+    .join('; ');
+  }
+
+  /**
+   * LinkedIn expects the JSESSIONID cookie, without quotes, as csrf token.
+   * @return {String}
+   */
+  getCsrfToken() {
+    return getCookieValue(this.getCookieString(), 'JSESSIONID');
+  }
+
+  /**
+   * @return {Boolean} true if the session holds the li_at auth cookie.
+   */
+  isAuthenticated() {
+    return !!this.cookies.li_at;
+  }
+
+  /**
+   * Stores the cookies the server set in a response, and drops the ones it
+   * expired.
+   * @param  {Object} res Response
+   */
+  updateFromResponse(res) {
+    if (!res || !res.headers) {
+      return;
+    }
+
+    this._getSetCookieHeaders(res.headers).forEach(header => this._setCookie(header));
+  }
+
+  /**
+   * Reads every Set-Cookie header. The way to do it depends on the fetch
+   * implementation.
+   * @param  {Object} headers Headers
+   * @return {String[]}
+   */
+  _getSetCookieHeaders(headers) {
+    if (typeof headers.getSetCookie === 'function') {
+      return headers.getSetCookie();
+    }
+
+    // node-fetch
+    if (typeof headers.raw === 'function') {
+      return headers.raw()['set-cookie'] || [];
+    }
+
+    let joined = headers.get('set-cookie');
+    if (!joined) {
+      return [];
+    }
+    // headers are joined with ", " which also shows up in Expires dates, so
+    // only split where a new name=value pair starts.
+    return joined.split(/,\s*(?=[^;,=\s]+=)/);
+  }
+
+  /**
+   * Parses a single Set-Cookie header into the jar.
+   * @param  {String} header
+   */
+  _setCookie(header) {
+    let parts = header.split(';');
+    let pair = parts.shift();
+    let separator = pair.indexOf('=');
+    if (separator === -1) {
+      return;
+    }
+
+    let name = pair.substring(0, separator).trim();
+    let value = pair.substring(separator + 1).trim();
+    let expired = parts.some((part) => {
+      let [attribute, attributeValue] = part.split('=').map(p => p.trim());
+      attribute = attribute.toLowerCase();
+      if (attribute === 'max-age') {
+        return parseInt(attributeValue, 10) <= 0;
+      }
+      if (attribute === 'expires') {
+        return Date.parse(attributeValue) < Date.now();
+      }
+      return false;
+    });
+
+    if (expired || value === 'delete me') {
+      delete this.cookies[name];
+      return;
+    }
+    this.cookies[name] = value;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Base class for every error raised by an APIClient. Carries enough context
+ * to tell which request failed and why.
+ */
+export class APIError extends Error {
+  /**
+   * @param  {String} message
+   * @param  {Object} details
+   * @param  {Number} details.status   HTTP status of the failed response, 0 if there was none.
+   * @param  {String} details.url      requested url.
+   * @param  {String} details.resource name of the requested resource (profileView, company, etc...)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.status = details.status || 0;
+    this.url = details.url || '';
+    this.resource = details.resource || '';
+  }
+}
+
+/**
+ * The session is missing, expired or the csrf token does not match (401, 403).
+ */
+export class AuthError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * LinkedIn is throttling us (429, 999) and the retry policy gave up.
+ */
+export class RateLimitError extends APIError {
+  /**
+   * @param  {String} message
+   * @param  {Object} details same as APIError plus retryAfter in milliseconds.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter || 0;
+  }
+}
+
+/**
+ * The requested entity does not exist or is not visible to the member (404).
+ */
+export class NotFoundError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The request never got a response.
+ */
+export class NetworkError extends APIError {
+  /**
+   * @param  {String} message
+   * @param  {Object} details same as APIError plus cause, the original error.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * The request got no answer in time.
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * @param  {String} message
+   * @param  {Object} details same as NetworkError plus timeout, in milliseconds.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.timeout = details.timeout || 0;
+  }
+}
+
+/**
+ * The response came back but its body is not what we expected.
+ */
+export class ParseError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * A scrubbed entity does not match its schema, see schemas.js.
+ */
+export class ValidationError extends ParseError {
+  /**
+   * @param  {String} message
+   * @param  {Object} details same as APIError plus violations, {path, message}
+   *                          for every mismatch, and entity, the scrubbed object.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.violations = details.violations || [];
+    this.entity = details.entity || null;
+  }
+}
+
+/**
+ * Some of the resources that make up a profile could not be fetched.
+ */
+export class PartialProfileError extends APIError {
+  /**
+   * @param  {String} message
+   * @param  {Object} details same as APIError plus failures, the errors of
+   *                          every failed resource, and profile, the scrubbed
+   *                          profile built from what succeeded (null if the
+   *                          profile itself failed).
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'PartialProfileError';
+    this.failures = details.failures || [];
+    this.profile = details.profile || null;
+  }
+}
+
+/**
+ * Maps a failed Response to the matching error class.
+ * @param  {Object} res     Response
+ * @param  {Object} details url and resource of the request.
+ * @return {APIError}
+ */
+export function createErrorFromResponse(res, details = {}) {
+  const errorDetails = Object.assign({}, details, {status: res.status});
+  const message = `${details.resource || 'request'} failed with status ${res.status}`;
+
+  switch (res.status) {
+    case 401:
+    case 403:
+      return new AuthError(message, errorDetails);
+    case 404:
+      return new NotFoundError(message, errorDetails);
+    case 429:
+    case 999: {
+      const retryAfter = res.headers ? parseInt(res.headers.get('retry-after'), 10) : NaN;
+      errorDetails.retryAfter = isNaN(retryAfter) ? 0 : retryAfter * 1000;
+      return new RateLimitError(message, errorDetails);
+    }
+    default:
+      return new APIError(message, errorDetails);
+  }
+}
@@ -0,0 +1,596 @@
+import EventEmitter from './base/EventEmitter.js';
+import {
+  APIError, AuthError, RateLimitError, NotFoundError, NetworkError, TimeoutError, ParseError, ValidationError,
+  PartialProfileError
+} from './base/errors.js';
+import {getActiveTab, delay} from './utils.js';
+
+/**
+ * Calls Voyager from the background, popup or options page of the extension.
+ * Voyager needs the same-origin cookies of linkedin.com, so it runs in a
+ * content script behind a VoyagerHost, and the other pages reach it through
+ * a chrome.runtime port with a VoyagerClient:
+ *
+ *   // content script on linkedin.com
+ *   new VoyagerHost(new Voyager(csrfToken)).listen();
+ *
+ *   // background, popup or options page
+ *   const client = new VoyagerClient({timeout: 30000});
+ *   const profile = await client.voyager.getFullProfile('jane-doe');
+ *   const lead = await client.voyager.salesNavigator.getLead(leadUrl);
+ *   const summary = await client.voyager.enrichProfiles(urls).on('progress', p => render(p));
+ *   const found = await client.voyager.searchPeople({keywords: 'cto'}, {limit: 500}).on('item', p => add(p));
+ *
+ * The Voyager and SalesNavigator API methods of ALLOWED_METHODS can be
+ * called, see RemoteCall for what they resolve. Errors are rebuilt on the
+ * client as the base/errors.js class they were raised with.
+ *
+ * Messages, client to host:
+ *   call     {id, method, args}    method is a path, salesNavigator.getLead.
+ *   cancel   {id}
+ * host to client:
+ *   ready    sent once the port is connected.
+ *   progress {id, event, payload}
+ *   result   {id, value}
+ *   error    {id, error}
+ */
+
+const PORT_NAME = 'voyager-bridge';
+const LINKEDIN_URL = 'https://www.linkedin.com/feed/';
+const LINKEDIN_TABS = 'https://*.linkedin.com/*';
+
+// What clients can call. The rest of the client (session, fetch, cache...)
+// stays out of reach of the extension pages.
+const ALLOWED_METHODS = [
+  'getFullProfile', 'scrapeSalesNavFullProfile', 'enrichProfiles', 'getCompany', 'getCompanies', 'getSchool',
+  'searchPeople', 'getCompanyEmployees', 'getMyConnections', 'getNetworkInfo', 'getProfileActivity',
+  'getConversations', 'getConversationMessages', 'sendMessage', 'createConversation', 'markConversationAsRead',
+  'sendInvitation', 'getReceivedInvitations', 'getSentInvitations', 'acceptInvitation', 'ignoreInvitation',
+  'withdrawInvitation',
+  'salesNavigator.getLead', 'salesNavigator.getLeadLists', 'salesNavigator.getAccountLists',
+  'salesNavigator.getLeadListEntries', 'salesNavigator.getAccountListEntries', 'salesNavigator.searchLeads',
+  'salesNavigator.searchAccounts'
+];
+
+// Events of the emitters Voyager returns (EnrichmentJob) that reach the client.
+const STREAMED_EVENTS = ['progress', 'success', 'failure'];
+
+// Items a paginator streams when the call passes no options.limit.
+const DEFAULT_LIMIT = 100;
+
+const ERROR_CLASSES = {
+  APIError, AuthError, RateLimitError, NotFoundError, NetworkError, TimeoutError, ParseError, ValidationError,
+  PartialProfileError
+};
+
+/**
+ * Runs in a content script on linkedin.com and serves the VoyagerClients of
+ * the extension.
+ */
+export class VoyagerHost {
+  /**
+   * @param  {Voyager} voyager
+   * @param  {Object} options
+   * @param  {String} options.portName defaults to voyager-bridge, must match the clients.
+   */
+  constructor(voyager, options = {}) {
+    this.voyager = voyager;
+    this.portName = options.portName || PORT_NAME;
+    this.ports = [];
+    this._onConnect = port => this._accept(port);
+  }
+
+  /**
+   * Starts accepting clients.
+   * @return {VoyagerHost} this
+   */
+  listen() {
+    chrome.runtime.onConnect.addListener(this._onConnect);
+    return this;
+  }
+
+  /**
+   * Stops accepting clients and disconnects the connected ones.
+   */
+  close() {
+    chrome.runtime.onConnect.removeListener(this._onConnect);
+    this.ports.forEach(port => port.disconnect());
+    this.ports = [];
+  }
+
+  /**
+   * @param  {Port} port
+   */
+  _accept(port) {
+    if (port.name !== this.portName) {
+      return;
+    }
+
+    // cancel functions of the calls in flight, by id.
+    const running = {};
+    this.ports.push(port);
+    port.onMessage.addListener(message => this._handleMessage(port, running, message));
+    port.onDisconnect.addListener(() => {
+      this.ports = this.ports.filter(p => p !== port);
+      Object.keys(running).forEach(id => running[id]());
+    });
+    port.postMessage({type: 'ready'});
+  }
+
+  /**
+   * @param  {Port} port
+   * @param  {Object} running
+   * @param  {Object} message
+   */
+  _handleMessage(port, running, message) {
+    if (!message) {
+      return;
+    }
+
+    if (message.type === 'cancel') {
+      if (running[message.id]) {
+        running[message.id]();
+      }
+      return;
+    }
+
+    if (message.type !== 'call') {
+      return;
+    }
+
+    const id = message.id;
+    const post = (reply) => {
+      try {
+        port.postMessage(Object.assign({id}, reply));
+      } catch (err) {
+        // the client went away, nobody is left to answer.
+      }
+    };
+
+    let result;
+    try {
+      result = this._invoke(message.method, message.args || []);
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    this._settle(result, running, id, post)
+    .then((value) => {
+      post({type: 'result', value: serialize(value)});
+    }, (err) => {
+      post({type: 'error', error: serialize(err)});
+    })
+    .then(() => {
+      delete running[id];
+    });
+  }
+
+  /**
+   * Calls one of ALLOWED_METHODS.
+   * @param  {String} method path, getFullProfile or salesNavigator.getLead.
+   * @param  {Array} args
+   * @return {*} whatever the method returns.
+   */
+  _invoke(method, args) {
+    if (ALLOWED_METHODS.indexOf(method) === -1) {
+      throw new Error(`${method} is not a Voyager API method`);
+    }
+
+    const path = method.split('.');
+    const name = path.pop();
+    const target = path.reduce((object, key) => (object ? object[key] : undefined), this.voyager);
+    if (!target || typeof target[name] !== 'function') {
+      throw new Error(`${method} is not a Voyager API method`);
+    }
+    return target[name].apply(target, args);
+  }
+
+  /**
+   * Waits for the result of a call. Paginators stream their items as item
+   * events, DEFAULT_LIMIT of them without options.limit, and resolve how
+   * many they streamed. Emitters like EnrichmentJob stream STREAMED_EVENTS.
+   * Both can be cancelled.
+   * @param  {*} result
+   * @param  {Object} running
+   * @param  {Number} id
+   * @param  {Function} post
+   * @return {Promise}
+   */
+  _settle(result, running, id, post) {
+    const stream = (event, payload) => post({type: 'progress', event, payload: serialize(payload)});
+
+    if (result && typeof result[Symbol.asyncIterator] === 'function' && typeof result.next === 'function') {
+      let cancelled = false;
+      let count = 0;
+      if (result.limit === Infinity) {
+        result.limit = DEFAULT_LIMIT;
+      }
+      running[id] = () => {
+        // a page in flight still lands in the buffer after return().
+        cancelled = true;
+        result.return();
+      };
+      const collect = () => {
+        return result.next()
+        .then((next) => {
+          if (cancelled || next.done) {
+            return count;
+          }
+          count++;
+          stream('item', next.value);
+          return collect();
+        });
+      };
+      return collect();
+    }
+
+    if (result && typeof result.on === 'function' && typeof result.then === 'function') {
+      STREAMED_EVENTS.forEach(event => result.on(event, payload => stream(event, payload)));
+      if (typeof result.cancel === 'function') {
+        running[id] = () => result.cancel();
+      }
+    }
+    return Promise.resolve(result);
+  }
+}
+
+/**
+ * Calls the VoyagerHost of a LinkedIn tab: the active tab if it is on
+ * linkedin.com, another LinkedIn tab otherwise, or a new one opened in the
+ * background. The connection is reused and opened again if the tab is
+ * closed or reloaded.
+ */
+export class VoyagerClient {
+  /**
+   * @param  {Object} options
+   * @param  {Number} options.timeout        milliseconds a call waits without hearing from the host,
+   *                                         progress events included, defaults to 60000.
+   * @param  {Number} options.connectTimeout milliseconds to wait for the content script of the tab,
+   *                                         defaults to 30000.
+   * @param  {String} options.portName       defaults to voyager-bridge, must match the host.
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 60000;
+    this.connectTimeout = options.connectTimeout || 30000;
+    this.portName = options.portName || PORT_NAME;
+    this.voyager = createProxy(this, []);
+
+    this._port = null;
+    this._calls = {};
+    this._lastId = 0;
+  }
+
+  /**
+   * Calls a Voyager method, client.voyager does it with the method syntax.
+   * @param  {String} method  path, getFullProfile or salesNavigator.getLead.
+   * @param  {Array} args     JSON serializable.
+   * @param  {Object} options {timeout} overrides the one of the client.
+   * @return {RemoteCall}
+   */
+  call(method, args = [], options = {}) {
+    const id = ++this._lastId;
+    const remoteCall = new RemoteCall(this, id, method);
+    const timeout = options.timeout || this.timeout;
+    const entry = {remoteCall, timeout, timer: null};
+
+    this._calls[id] = entry;
+    this._connect()
+    .then((port) => {
+      if (this._calls[id]) {
+        this._restartTimer(entry);
+        port.postMessage({type: 'call', id, method, args});
+      }
+    })
+    .catch(err => this._finish(id, err));
+    return remoteCall;
+  }
+
+  /**
+   * Closes the connection, calls in flight reject with a NetworkError.
+   */
+  disconnect() {
+    const connecting = this._port;
+    this._port = null;
+    if (connecting) {
+      connecting.then(port => port.disconnect(), () => {});
+    }
+    this._rejectAll(new NetworkError('the Voyager bridge was disconnected', {resource: 'bridge'}));
+  }
+
+  /**
+   * @return {Promise} resolves the connected port.
+   */
+  _connect() {
+    if (!this._port) {
+      this._port = this._findTab()
+      .then(tab => this._openPort(tab.id, Date.now() + this.connectTimeout));
+      this._port.catch(() => {
+        this._port = null;
+      });
+    }
+    return this._port;
+  }
+
+  /**
+   * @return {Promise} resolves a LinkedIn tab.
+   */
+  _findTab() {
+    return getActiveTab()
+    .then((tab) => {
+      if (tab && /^https:\/\/([^\/]+\.)?linkedin\.com\//.test(tab.url || '')) {
+        return tab;
+      }
+      return getActiveTab({url: LINKEDIN_TABS});
+    })
+    .then((tab) => {
+      if (tab) {
+        return tab;
+      }
+
+      return new Promise((resolve, reject) => {
+        chrome.tabs.create({url: LINKEDIN_URL, active: false}, (newTab) => {
+          if (chrome.runtime.lastError || !newTab) {
+            return reject(new NetworkError('could not open a LinkedIn tab', {resource: 'bridge'}));
+          }
+          resolve(newTab);
+        });
+      });
+    });
+  }
+
+  /**
+   * Connects to the host of a tab, trying again while its content script
+   * is not loaded yet.
+   * @param  {Number} tabId
+   * @param  {Number} deadline timestamp after which to give up.
+   * @return {Promise} resolves the port once the host sent ready.
+   */
+  _openPort(tabId, deadline) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.tabs.connect(tabId, {name: this.portName});
+      let ready = false;
+
+      port.onMessage.addListener((message) => {
+        if (message && message.type === 'ready') {
+          ready = true;
+          resolve(port);
+          return;
+        }
+        this._handleMessage(message);
+      });
+
+      port.onDisconnect.addListener(() => {
+        // reading lastError keeps chrome from logging it as unchecked.
+        const lastError = chrome.runtime.lastError;
+        if (ready) {
+          this._onPortClosed(port);
+          return;
+        }
+
+        if (Date.now() >= deadline) {
+          const message = (lastError && lastError.message) || 'the content script did not answer';
+          return reject(new NetworkError(`could not reach the Voyager host of tab ${tabId}: ${message}`, {resource: 'bridge'}));
+        }
+        resolve(delay(500).then(() => this._openPort(tabId, deadline)));
+      });
+    });
+  }
+
+  /**
+   * @param  {Port} port
+   */
+  _onPortClosed(port) {
+    const current = this._port;
+    if (current) {
+      current.then((connected) => {
+        if (connected === port) {
+          this._port = null;
+          this._rejectAll(new NetworkError('the LinkedIn tab was closed or reloaded', {resource: 'bridge'}));
+        }
+      }, () => {});
+    }
+  }
+
+  /**
+   * @param  {Object} message
+   */
+  _handleMessage(message) {
+    const entry = message && this._calls[message.id];
+    if (!entry) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'progress':
+        this._restartTimer(entry);
+        entry.remoteCall.emit(message.event, deserialize(message.payload));
+        break;
+      case 'result':
+        this._finish(message.id, null, deserialize(message.value));
+        break;
+      case 'error':
+        this._finish(message.id, deserialize(message.error));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @param  {Object} entry {remoteCall, timeout, timer}
+   */
+  _restartTimer(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      const remoteCall = entry.remoteCall;
+      this._send({type: 'cancel', id: remoteCall.id});
+      this._finish(remoteCall.id, new TimeoutError(`${remoteCall.method} timed out after ${entry.timeout}ms`, {
+        resource: remoteCall.method,
+        timeout: entry.timeout
+      }));
+    }, entry.timeout);
+  }
+
+  /**
+   * Posts a message if the port is connected, dropped otherwise.
+   * @param  {Object} message
+   */
+  _send(message) {
+    if (this._port) {
+      this._port.then(port => port.postMessage(message)).catch(() => {});
+    }
+  }
+
+  /**
+   * @param  {Number} id
+   * @param  {Error} err   null on success.
+   * @param  {*} value
+   */
+  _finish(id, err, value) {
+    const entry = this._calls[id];
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    delete this._calls[id];
+    if (err) {
+      entry.remoteCall._reject(err);
+    } else {
+      entry.remoteCall._resolve(value);
+    }
+  }
+
+  /**
+   * @param  {Error} err
+   */
+  _rejectAll(err) {
+    Object.keys(this._calls).forEach(id => this._finish(id, err));
+  }
+}
+
+/**
+ * A call in flight. Thenable, resolves what the Voyager method resolves:
+ * paginators the number of items they streamed as item events (100 unless
+ * options.limit says otherwise), emitters like EnrichmentJob what they
+ * resolve, their summary.
+ *
+ * Events:
+ *   item                      every item of a paginator, as it is fetched.
+ *   progress, success, failure the events of an EnrichmentJob.
+ */
+export class RemoteCall extends EventEmitter {
+  /**
+   * @param  {VoyagerClient} client
+   * @param  {Number} id
+   * @param  {String} method
+   */
+  constructor(client, id, method) {
+    super();
+    this.client = client;
+    this.id = id;
+    this.method = method;
+    this.promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+
+  /**
+   * Stops a paginator or an EnrichmentJob on the host. The call still
+   * resolves, with the number of items streamed or the summary so far.
+   */
+  cancel() {
+    this.client._send({type: 'cancel', id: this.id});
+  }
+}
+
+/**
+ * @param  {VoyagerClient} client
+ * @param  {String[]} path
+ * @return {Proxy} calls client.call with the path when called, a deeper
+ *                 proxy for any property. Not thenable, so it can be awaited.
+ */
+function createProxy(client, path) {
+  return new Proxy(function () {}, {
+    get(target, property) {
+      if (typeof property === 'symbol' || property === 'then') {
+        return undefined;
+      }
+      return createProxy(client, path.concat(property));
+    },
+    apply(target, thisArg, args) {
+      return client.call(path.join('.'), args);
+    }
+  });
+}
+
+/**
+ * Ports carry JSON, errors are turned into {$error} wherever they are.
+ * @param  {*} value
+ * @return {*}
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    const error = {name: value.name, message: value.message};
+    Object.keys(value).forEach((key) => {
+      error[key] = serialize(value[key]);
+    });
+    return {$error: error};
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+
+  if (value && value.constructor === Object) {
+    const object = {};
+    Object.keys(value).forEach((key) => {
+      object[key] = serialize(value[key]);
+    });
+    return object;
+  }
+  return value;
+}
+
+/**
+ * Rebuilds the errors serialize took apart, with their class when it is one
+ * of base/errors.js.
+ * @param  {*} value
+ * @return {*}
+ */
+function deserialize(value) {
+  if (Array.isArray(value)) {
+    return value.map(deserialize);
+  }
+
+  if (!value || value.constructor !== Object) {
+    return value;
+  }
+
+  if (value.$error) {
+    const data = value.$error;
+    const ErrorClass = ERROR_CLASSES[data.name] || Error;
+    const err = new ErrorClass(data.message);
+    Object.keys(data).forEach((key) => {
+      if (key !== 'message') {
+        err[key] = deserialize(data[key]);
+      }
+    });
+    return err;
+  }
+
+  const object = {};
+  Object.keys(value).forEach((key) => {
+    object[key] = deserialize(value[key]);
+  });
+  return object;
+}
@@ -0,0 +1,189 @@
+/**
+ * Helpers for LinkedIn dates ({year, month, day}, any part may be missing)
+ * and time periods ({startDate, endDate}, no endDate while ongoing).
+ *
+ * Durations are counted in whole months and both ends are included, so a
+ * role from 2018-06 to 2018-08 lasts 3 months. A missing month counts as
+ * January.
+ */
+
+/**
+ * Formats a LinkedIn date as an ISO 8601 date, leaving out the parts
+ * LinkedIn does not have (2018-06 or 2018).
+ * @param  {Object} date {year, month, day}
+ * @return {String} empty if date has no year.
+ */
+export function formatDate(date) {
+  if (!date || !date.year) {
+    return '';
+  }
+
+  const pad = n => (n < 10 ? `0${n}` : `${n}`);
+  let formatted = `${date.year}`;
+  if (date.month) {
+    formatted += `-${pad(date.month)}`;
+    if (date.day) {
+      formatted += `-${pad(date.day)}`;
+    }
+  }
+  return formatted;
+}
+
+/**
+ * A time period is current when it started and has not ended.
+ * @param  {Object} timePeriod {startDate, endDate}
+ * @return {Boolean}
+ */
+export function isCurrent(timePeriod) {
+  return !!(timePeriod && timePeriod.startDate && timePeriod.startDate.year && !timePeriod.endDate);
+}
+
+/**
+ * The current position is the first one whose time period is current.
+ * Works with raw positionView elements and with scrubbed positions.
+ * @param  {Object[]} positions
+ * @return {Object} null if there is none.
+ */
+export function getCurrentPosition(positions) {
+  return (positions || []).filter(position => isCurrent(position.timePeriod))[0] || null;
+}
+
+/**
+ * Normalizes a time period.
+ * @param  {Object} timePeriod {startDate, endDate}
+ * @param  {Date} now          end of ongoing periods, defaults to today.
+ * @return {Object} {startedOn, endedOn, current, durationMonths} ISO dates,
+ *                  empty when unknown. durationMonths is null without a start.
+ */
+export function normalizeTimePeriod(timePeriod, now = new Date()) {
+  const interval = toInterval(timePeriod, now);
+  return {
+    startedOn: formatDate(timePeriod && timePeriod.startDate),
+    endedOn: formatDate(timePeriod && timePeriod.endDate),
+    current: isCurrent(timePeriod),
+    durationMonths: interval ? interval.end - interval.start + 1 : null
+  };
+}
+
+/**
+ * Works out the experience of a member from their scrubbed positions.
+ * Overlapping positions are only counted once.
+ * @param  {Object[]} positions scrubbed positions.
+ * @param  {Date} now
+ * @return {Object} {
+ *   yearsOfExperience: Number, rounded to one decimal.
+ *   currentCompanyTenureMonths: Number, months at the company of the current
+ *                               position without leaving it, null if there
+ *                               is no current position.
+ *   employmentGaps: Object[], {startedOn, endedOn, months} of every month or
+ *                   more without a position.
+ * }
+ */
+export function getExperience(positions, now = new Date()) {
+  const intervals = (positions || [])
+  .map(position => toInterval(position.timePeriod, now))
+  .filter(interval => !!interval);
+  const merged = mergeIntervals(intervals);
+
+  const totalMonths = merged.reduce((total, interval) => total + interval.end - interval.start + 1, 0);
+
+  const employmentGaps = [];
+  for (let i = 1; i < merged.length; i++) {
+    const start = merged[i - 1].end + 1;
+    const end = merged[i].start - 1;
+    employmentGaps.push({startedOn: formatMonth(start), endedOn: formatMonth(end), months: end - start + 1});
+  }
+
+  return {
+    yearsOfExperience: Math.round(totalMonths / 12 * 10) / 10,
+    currentCompanyTenureMonths: getCurrentCompanyTenure(positions || [], now),
+    employmentGaps
+  };
+}
+
+/**
+ * @param  {Object[]} positions scrubbed positions.
+ * @param  {Date} now
+ * @return {Number} null if there is no current position.
+ */
+function getCurrentCompanyTenure(positions, now) {
+  const current = getCurrentPosition(positions);
+  if (!current) {
+    return null;
+  }
+
+  const companyKey = getCompanyKey(current);
+  const intervals = positions
+  .filter(position => position === current || (companyKey && getCompanyKey(position) === companyKey))
+  .map(position => toInterval(position.timePeriod, now))
+  .filter(interval => !!interval);
+
+  // the stretch at the company that reaches today, earlier stints do not count.
+  const today = toMonth({year: now.getFullYear(), month: now.getMonth() + 1});
+  const stretch = mergeIntervals(intervals).filter(interval => interval.end >= today)[0];
+  return stretch ? stretch.end - stretch.start + 1 : null;
+}
+
+/**
+ * @param  {Object} position scrubbed position.
+ * @return {String} empty if the position has no company.
+ */
+function getCompanyKey(position) {
+  if (position.linkedInCompanyId) {
+    return `id:${position.linkedInCompanyId}`;
+  }
+  return position.companyName ? `name:${position.companyName.trim().toLowerCase()}` : '';
+}
+
+/**
+ * @param  {Object} timePeriod
+ * @param  {Date} now
+ * @return {Object} {start, end} month numbers, null without a start date.
+ */
+function toInterval(timePeriod, now) {
+  if (!timePeriod || !timePeriod.startDate || !timePeriod.startDate.year) {
+    return null;
+  }
+
+  const start = toMonth(timePeriod.startDate);
+  const end = (timePeriod.endDate && timePeriod.endDate.year) ?
+    toMonth(timePeriod.endDate) :
+    toMonth({year: now.getFullYear(), month: now.getMonth() + 1});
+  return {start, end: Math.max(start, end)};
+}
+
+/**
+ * Merges overlapping and back to back intervals.
+ * @param  {Object[]} intervals {start, end}
+ * @return {Object[]} sorted by start.
+ */
+function mergeIntervals(intervals) {
+  return intervals
+  .slice()
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end + 1) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({start: interval.start, end: interval.end});
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * @param  {Object} date {year, month}
+ * @return {Number} months since year 0.
+ */
+function toMonth(date) {
+  return date.year * 12 + (date.month || 1) - 1;
+}
+
+/**
+ * @param  {Number} month months since year 0.
+ * @return {String} YYYY-MM
+ */
+function formatMonth(month) {
+  return formatDate({year: Math.floor(month / 12), month: month % 12 + 1});
+}
@@ -0,0 +1,158 @@
+/**
+ * Compares two snapshots of the same SocialProfile, as getFullProfile
+ * returns them, and lists what changed:
+ *
+ *   const changes = diffProfiles(lastMonth, today);
+ *   // [{type: 'positionEnded', position: {...}}, {type: 'positionAdded', position: {...}},
+ *   //  {type: 'companyChanged', from: {companyName: 'Acme', linkedInCompanyId: 1441}, to: {...}}]
+ *   if (hasJobChange(changes)) {...}
+ *
+ * Changes:
+ *   positionAdded   {position}   a position that was not there before.
+ *   positionEnded   {position}   a current position that got an end date.
+ *   positionRemoved {position}   a position that is not there anymore.
+ *   companyChanged  {from, to}   company of the current position, {companyName, linkedInCompanyId}
+ *                                or null without a current position. With several current
+ *                                positions the one started last counts.
+ *   titleChanged    {from, to}   title of the current position, at the same company.
+ *   locationChanged {from, to}
+ *   headlineChanged {from, to}
+ *   skillAdded      {skill}
+ *   skillRemoved    {skill}
+ *
+ * Only these fields are compared, so pictures, logos and the other CDN urls
+ * never show up. Positions and skills are matched by content, not index, and
+ * text is compared ignoring case and runs of whitespace. test/diff.test.js
+ * has examples.
+ */
+
+/**
+ * @param  {Object} before older SocialProfile.
+ * @param  {Object} after  newer SocialProfile.
+ * @return {Object[]} changes, see above. Empty if nothing changed.
+ */
+export function diffProfiles(before, after) {
+  before = before || {};
+  after = after || {};
+
+  const changes = diffPositions(before.positions || [], after.positions || []);
+  const previous = getLatestCurrentPosition(before.positions || []);
+  const current = getLatestCurrentPosition(after.positions || []);
+  if (!isSameCompany(previous, current)) {
+    changes.push({type: 'companyChanged', from: toCompany(previous), to: toCompany(current)});
+  } else if (previous && !isSameText(previous.title, current.title)) {
+    changes.push({type: 'titleChanged', from: previous.title || '', to: current.title || ''});
+  }
+
+  ['location', 'headline'].forEach((field) => {
+    if (!isSameText(before[field], after[field])) {
+      changes.push({type: `${field}Changed`, from: before[field] || '', to: after[field] || ''});
+    }
+  });
+
+  const skillsBefore = before.skills || [];
+  const skillsAfter = after.skills || [];
+  skillsAfter
+  .filter(skill => !skillsBefore.some(other => isSameText(skill, other)))
+  .forEach(skill => changes.push({type: 'skillAdded', skill}));
+  skillsBefore
+  .filter(skill => !skillsAfter.some(other => isSameText(skill, other)))
+  .forEach(skill => changes.push({type: 'skillRemoved', skill}));
+
+  return changes;
+}
+
+/**
+ * A job change is a new company for the current position, joining one
+ * included, leaving the last one not.
+ * @param  {Object[]} changes see diffProfiles.
+ * @return {Boolean}
+ */
+export function hasJobChange(changes) {
+  return (changes || []).some(change => change.type === 'companyChanged' && !!change.to);
+}
+
+/**
+ * Matches positions by company, title and start, then by company and start
+ * alone so a title edited in place is not an added and a removed position.
+ * @param  {Object[]} before scrubbed positions.
+ * @param  {Object[]} after
+ * @return {Object[]} changes.
+ */
+function diffPositions(before, after) {
+  const pairs = [];
+  const unmatchedBefore = before.slice();
+  const unmatchedAfter = after.slice();
+  const match = (isMatch) => {
+    unmatchedBefore.slice().forEach((position) => {
+      const other = unmatchedAfter.filter(candidate => isMatch(position, candidate))[0];
+      if (other) {
+        pairs.push([position, other]);
+        unmatchedBefore.splice(unmatchedBefore.indexOf(position), 1);
+        unmatchedAfter.splice(unmatchedAfter.indexOf(other), 1);
+      }
+    });
+  };
+
+  match((a, b) => isSameCompany(a, b) && isSameText(a.title, b.title) && a.startedOn === b.startedOn);
+  match((a, b) => isSameCompany(a, b) && !!a.startedOn && a.startedOn === b.startedOn);
+
+  const changes = [];
+  pairs
+  .filter(pair => pair[0].current && !pair[1].current)
+  .forEach(pair => changes.push({type: 'positionEnded', position: pair[1]}));
+  unmatchedAfter.forEach(position => changes.push({type: 'positionAdded', position}));
+  unmatchedBefore.forEach(position => changes.push({type: 'positionRemoved', position}));
+  return changes;
+}
+
+/**
+ * Picks the same position whatever the order of positions is.
+ * @param  {Object[]} positions scrubbed positions.
+ * @return {Object} the current position started last, null if none is current.
+ */
+function getLatestCurrentPosition(positions) {
+  const key = position => `${position.startedOn || ''} ${(position.companyName || '').toLowerCase()}`;
+  return positions
+  .filter(position => position.current)
+  .reduce((latest, position) => ((!latest || key(position) > key(latest)) ? position : latest), null);
+}
+
+/**
+ * Companies are the same when their ids match, or their names when either
+ * has no id.
+ * @param  {Object} a scrubbed position, or null.
+ * @param  {Object} b
+ * @return {Boolean}
+ */
+function isSameCompany(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+
+  if (a.linkedInCompanyId && b.linkedInCompanyId) {
+    return a.linkedInCompanyId === b.linkedInCompanyId;
+  }
+  return isSameText(a.companyName, b.companyName);
+}
+
+/**
+ * @param  {Object} position scrubbed position, or null.
+ * @return {Object} {companyName, linkedInCompanyId}, null without a position.
+ */
+function toCompany(position) {
+  if (!position) {
+    return null;
+  }
+  return {companyName: position.companyName || '', linkedInCompanyId: position.linkedInCompanyId || null};
+}
+
+/**
+ * @param  {String} a
+ * @param  {String} b
+ * @return {Boolean} true if a and b only differ in case and whitespace.
+ */
+function isSameText(a, b) {
+  const normalize = text => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return normalize(a) === normalize(b);
+}
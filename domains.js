@@ -0,0 +1,194 @@
+import PUBLIC_SUFFIX_LIST from './publicSuffixList.js';
+
+/**
+ * Splits hostnames with the Public Suffix List:
+ *
+ *   parseDomain('https://user@www.blog.acme.co.uk:8080/about')
+ *   // {hostname: 'www.blog.acme.co.uk', subdomain: 'www.blog', domain: 'acme.co.uk', suffix: 'co.uk'}
+ *
+ * Internationalized hostnames match in both their Unicode (bücher.de) and
+ * punycode (xn--bcher-kva.de) forms, and are returned in the form given.
+ */
+
+// built from PUBLIC_SUFFIX_LIST on first use.
+let rules = null;
+
+/**
+ * @param  {String} url url, hostname or anything in between: the scheme,
+ *                      userinfo, port, path and trailing dot are optional.
+ * @return {Object} {hostname, subdomain, domain, suffix} domain is the
+ *                  registrable domain, empty when hostname is a public
+ *                  suffix itself. null if url has no hostname or it is an
+ *                  IP address.
+ */
+export function parseDomain(url) {
+  const hostname = getHostname(url);
+  if (!hostname) {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  const suffixLength = getSuffixLength(labels.map(toUnicode));
+  const suffix = labels.slice(labels.length - suffixLength).join('.');
+  if (labels.length <= suffixLength) {
+    return {hostname, subdomain: '', domain: '', suffix};
+  }
+
+  return {
+    hostname,
+    subdomain: labels.slice(0, labels.length - suffixLength - 1).join('.'),
+    domain: labels.slice(labels.length - suffixLength - 1).join('.'),
+    suffix
+  };
+}
+
+/**
+ * @param  {String} url
+ * @return {String} lower case hostname without trailing dot, empty if url
+ *                  has none or it is an IP address.
+ */
+function getHostname(url) {
+  let host = String(url || '').trim().toLowerCase()
+  .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+  .replace(/^\/\//, '')
+  .split(/[\/?#\\]/)[0];
+
+  host = host.substring(host.lastIndexOf('@') + 1)
+  .replace(/:\d*$/, '')
+  .replace(/\.$/, '');
+
+  const isIP = /^\[.*\]$/.test(host) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+  if (!host || isIP || host.split('.').some(label => !label) || /[\s:]/.test(host)) {
+    return '';
+  }
+  return host;
+}
+
+/**
+ * Applies the Public Suffix List algorithm: exception rules win, then the
+ * longest matching rule, and a single label when no rule matches.
+ * @param  {String[]} labels Unicode labels of the hostname.
+ * @return {Number} how many labels make up the public suffix.
+ */
+function getSuffixLength(labels) {
+  const list = getRules();
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (list.hasOwnProperty(`!${candidate}`)) {
+      return labels.length - i - 1;
+    }
+
+    const wildcard = ['*'].concat(labels.slice(i + 1)).join('.');
+    if (list.hasOwnProperty(candidate) || (i + 1 < labels.length && list.hasOwnProperty(wildcard))) {
+      return labels.length - i;
+    }
+  }
+  return 1;
+}
+
+/**
+ * @return {Object} rules as keys.
+ */
+function getRules() {
+  if (!rules) {
+    rules = {};
+    PUBLIC_SUFFIX_LIST.split(/\s+/).filter(rule => !!rule).forEach((rule) => {
+      rules[rule] = true;
+    });
+  }
+  return rules;
+}
+
+/**
+ * @param  {String} label
+ * @return {String} label decoded if it is punycode, as is otherwise.
+ */
+function toUnicode(label) {
+  if (label.indexOf('xn--') !== 0) {
+    return label;
+  }
+
+  try {
+    return decodePunycode(label.substring(4));
+  } catch (e) {
+    return label;
+  }
+}
+
+/**
+ * Punycode decoder, RFC 3492.
+ * @param  {String} input label without the xn-- prefix.
+ * @return {String}
+ */
+function decodePunycode(input) {
+  const base = 36;
+  const tMin = 1;
+  const tMax = 26;
+  const output = [];
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+
+  const basicLength = Math.max(input.lastIndexOf('-'), 0);
+  for (let j = 0; j < basicLength; j++) {
+    output.push(input.charCodeAt(j));
+  }
+
+  for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+    const oldi = i;
+    let w = 1;
+    for (let k = base; ; k += base) {
+      if (index >= input.length) {
+        throw new Error('invalid punycode');
+      }
+
+      const digit = toDigit(input.charCodeAt(index++));
+      i += digit * w;
+      const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+      if (digit < t) {
+        break;
+      }
+      w *= base - t;
+    }
+
+    const length = output.length + 1;
+    bias = adaptBias(i - oldi, length, oldi === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint.apply(String, output);
+}
+
+/**
+ * @param  {Number} code char code of a punycode digit.
+ * @return {Number}
+ */
+function toDigit(code) {
+  if (code >= 48 && code <= 57) {
+    return code - 22;
+  }
+  if (code >= 97 && code <= 122) {
+    return code - 97;
+  }
+  throw new Error('invalid punycode');
+}
+
+/**
+ * @param  {Number} delta
+ * @param  {Number} numPoints
+ * @param  {Boolean} firstTime
+ * @return {Number}
+ */
+function adaptBias(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / 700) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+
+  let k = 0;
+  while (delta > 455) {
+    delta = Math.floor(delta / 35);
+    k += 36;
+  }
+  return k + Math.floor(36 * delta / (delta + 38));
+}
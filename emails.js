@@ -0,0 +1,160 @@
+import {parseName, replaceDiacritics, removeEmojis, extractRootDomain} from './utils.js';
+
+/**
+ * Guesses the work email address of a profile from its name and the domain
+ * of its company:
+ *
+ *   const company = await voyager.getCompany(position.linkedInCompanyId);
+ *   const candidates = generateEmailCandidates(profile, company, {overrides: {'acme.com': 'flast'}});
+ *   // [{email: 'jdoe@acme.com', pattern: 'flast', rank: 1, known: true}, ...]
+ */
+
+// Most common patterns first.
+export const EMAIL_PATTERNS = {
+  'first.last': (first, last) => `${first}.${last}`,
+  'flast': (first, last) => `${first[0]}${last}`,
+  'first': first => first,
+  'firstl': (first, last) => `${first}${last[0]}`,
+  'firstlast': (first, last) => `${first}${last}`,
+  'first_last': (first, last) => `${first}_${last}`,
+  'f.last': (first, last) => `${first[0]}.${last}`,
+  'last.first': (first, last) => `${last}.${first}`,
+  'lastf': (first, last) => `${last}${first[0]}`,
+  'last': (first, last) => last
+};
+
+/**
+ * Builds the candidate addresses of a profile, ranked by how common their
+ * pattern is. The pattern known for the domain, if any, ranks first.
+ * @param  {Object} profile        SocialProfile, or any object with firstname and lastname.
+ * @param  {Object|String} company scrubbed company, or its domain or website url.
+ * @param  {Object} options
+ * @param  {Object} options.overrides  pattern known for a domain, {'acme.com': 'flast'}.
+ * @param  {String[]} options.patterns patterns to try, defaults to every EMAIL_PATTERNS key.
+ * @return {Object[]} {email, pattern, rank, known}, empty if the name or the domain is missing.
+ */
+export function generateEmailCandidates(profile, company, options = {}) {
+  const domain = getEmailDomain(company);
+  const name = splitName(profile);
+  if (!domain || !name) {
+    return [];
+  }
+
+  const overrides = options.overrides || {};
+  const knownPattern = overrides[domain] || '';
+  let patterns = (options.patterns || Object.keys(EMAIL_PATTERNS)).slice();
+  if (knownPattern) {
+    patterns = [knownPattern].concat(patterns.filter(pattern => pattern !== knownPattern));
+  }
+
+  const seen = {};
+  const candidates = [];
+  patterns.forEach((pattern) => {
+    if (!EMAIL_PATTERNS.hasOwnProperty(pattern)) {
+      throw new Error(`unknown email pattern ${pattern}`);
+    }
+
+    // without a last name only the first name pattern makes sense.
+    if (!name.last && pattern !== 'first') {
+      return;
+    }
+
+    const localPart = EMAIL_PATTERNS[pattern](name.first, name.last);
+    if (seen.hasOwnProperty(localPart)) {
+      return;
+    }
+
+    seen[localPart] = true;
+    candidates.push({
+      email: `${localPart}@${domain}`,
+      pattern,
+      rank: candidates.length + 1,
+      known: pattern === knownPattern
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Checks candidates one at a time, in rank order, with a verification
+ * service such as a local SMTP checker stand-in, and stops at the first
+ * valid address.
+ * @param  {Object[]} candidates see generateEmailCandidates.
+ * @param  {Function} verify     (email, candidate) => Promise that resolves true if the address exists.
+ * @return {Promise} resolves the candidates with verified set to true, false,
+ *                   or null for the ones not checked. A failed verification
+ *                   leaves verified null and the error in error.
+ */
+export function verifyEmailCandidates(candidates, verify) {
+  const results = candidates.map(candidate => Object.assign({}, candidate, {verified: null}));
+  let found = false;
+
+  return results.reduce((chain, result) => {
+    return chain.then(() => {
+      if (found) {
+        return null;
+      }
+
+      return Promise.resolve()
+      .then(() => verify(result.email, result))
+      .then((valid) => {
+        result.verified = !!valid;
+        found = !!valid;
+      }, (err) => {
+        result.error = err;
+      });
+    });
+  }, Promise.resolve())
+  .then(() => results);
+}
+
+/**
+ * Generates the candidates and, when options.verify is set, verifies them.
+ * @param  {Object} profile
+ * @param  {Object|String} company
+ * @param  {Object} options {overrides, patterns, verify}, see generateEmailCandidates and verifyEmailCandidates.
+ * @return {Promise} resolves {email, candidates}, email is the best verified
+ *                   candidate, or the top ranked one without verify, '' if none.
+ */
+export function findEmail(profile, company, options = {}) {
+  const candidates = generateEmailCandidates(profile, company, options);
+  if (!options.verify) {
+    return Promise.resolve({email: candidates.length > 0 ? candidates[0].email : '', candidates});
+  }
+
+  return verifyEmailCandidates(candidates, options.verify)
+  .then((results) => {
+    const verified = results.filter(result => result.verified)[0];
+    return {email: verified ? verified.email : '', candidates: results};
+  });
+}
+
+/**
+ * @param  {Object|String} company scrubbed company, domain or url.
+ * @return {String} lower case root domain, empty if unknown.
+ */
+function getEmailDomain(company) {
+  let value = company;
+  if (company && typeof company === 'object') {
+    value = company.domain || company.pageUrl || '';
+  }
+
+  return extractRootDomain(value);
+}
+
+/**
+ * @param  {Object} profile {firstname, lastname}
+ * @return {Object} {first, last} lower case ascii letters, null without a first name.
+ */
+function splitName(profile) {
+  if (!profile || !profile.firstname) {
+    return null;
+  }
+
+  // both fields, so multi word surnames (García Márquez) stay whole.
+  const name = parseName(profile.firstname, profile.lastname || '');
+  const clean = word => replaceDiacritics(removeEmojis(word || '')).toLowerCase().replace(/[^a-z]/g, '');
+  const first = clean(name.first);
+  const last = clean(name.last);
+  return first ? {first, last} : null;
+}
@@ -0,0 +1,201 @@
+import EventEmitter from './base/EventEmitter.js';
+import {AuthError} from './base/errors.js';
+import {getPublicIdentifier} from './utils.js';
+
+/**
+ * Fetches the full profile of a list of LinkedIn urls or public identifiers.
+ * The job starts right away, listen to its events and wait for its summary:
+ *
+ *   const job = voyager.enrichProfiles(urls, {concurrency: 3});
+ *   job.on('progress', p => console.log(`${p.completed}/${p.total}`));
+ *   job.then(summary => save(summary.successes));
+ *
+ * Events:
+ *   success  {input, publicIdentifier, profile}
+ *   failure  {input, publicIdentifier, reason, error}
+ *   progress {completed, total, succeeded, failed, skipped, cancelled}
+ *            completed counts every input done with, cancelled ones included.
+ *   done     summary
+ */
+export default class EnrichmentJob extends EventEmitter {
+  /**
+   * @param  {Voyager} voyager
+   * @param  {String[]} inputs urls or public identifiers.
+   * @param  {Object} options
+   * @param  {Number} options.concurrency    profiles fetched at the same time, defaults to 2.
+   * @param  {Object} options.profileOptions passed to getFullProfile.
+   * @param  {Boolean} options.stopOnAuthError cancels the job when the session is rejected, defaults to true.
+   */
+  constructor(voyager, inputs, options = {}) {
+    super();
+    this.voyager = voyager;
+    this.concurrency = options.concurrency || 2;
+    this.profileOptions = options.profileOptions || {};
+    this.stopOnAuthError = options.stopOnAuthError !== false;
+
+    this.paused = false;
+    this.cancelled = false;
+    this.active = 0;
+    this._finished = false;
+    this.summary = {successes: [], failures: [], skipped: [], cancelled: []};
+    this.queue = this._buildQueue(inputs || []);
+    this.total = (inputs || []).length;
+
+    this.promise = new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+
+    // start on the next tick, so listeners attached right after creating the
+    // job do not miss the first events, inputs that failed to resolve included.
+    Promise.resolve().then(() => {
+      this.summary.failures.forEach(failure => this.emit('failure', failure));
+      this._fill();
+    });
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+
+  /**
+   * Stops starting new profiles, the ones in flight still complete.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this._fill();
+  }
+
+  /**
+   * Stops the job. Profiles in flight still complete, the ones not started
+   * end up in summary.cancelled.
+   */
+  cancel() {
+    this.cancelled = true;
+    this.summary.cancelled = this.summary.cancelled.concat(this.queue.map(item => item.input));
+    this.queue = [];
+    this.emit('progress', this._getProgress());
+    this._finishIfDone();
+  }
+
+  /**
+   * Resolves every input to a public identifier. Inputs that cannot be
+   * resolved fail right away, repeated ones are skipped.
+   * @param  {String[]} inputs
+   * @return {Object[]} {input, publicIdentifier}
+   */
+  _buildQueue(inputs) {
+    const seen = {};
+    const queue = [];
+
+    inputs.forEach((input) => {
+      const publicIdentifier = this._resolvePublicIdentifier(input);
+      if (!publicIdentifier) {
+        this.summary.failures.push({input, publicIdentifier: '', reason: 'invalid', error: null});
+        return;
+      }
+
+      const key = publicIdentifier.toLowerCase();
+      if (seen.hasOwnProperty(key)) {
+        this.summary.skipped.push({input, publicIdentifier, duplicateOf: seen[key]});
+        return;
+      }
+
+      seen[key] = input;
+      queue.push({input, publicIdentifier});
+    });
+    return queue;
+  }
+
+  /**
+   * @param  {String} input url or public identifier.
+   * @return {String} empty if input is not a profile.
+   */
+  _resolvePublicIdentifier(input) {
+    let value = String(input || '').trim();
+    if (value.indexOf('linkedin.com/') !== -1) {
+      value = getPublicIdentifier(value.split(/[?#]/)[0]);
+    } else if (value.indexOf('/') !== -1) {
+      value = '';
+    }
+
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * Starts profiles until the concurrency limit is reached.
+   */
+  _fill() {
+    while (!this.paused && !this.cancelled && this.active < this.concurrency && this.queue.length > 0) {
+      this._enrich(this.queue.shift());
+    }
+    this._finishIfDone();
+  }
+
+  /**
+   * @param  {Object} item {input, publicIdentifier}
+   */
+  _enrich(item) {
+    this.active++;
+    Promise.resolve()
+    .then(() => this.voyager.getFullProfile(item.publicIdentifier, this.profileOptions))
+    .then((profile) => {
+      const success = Object.assign({profile}, item);
+      this.summary.successes.push(success);
+      this.emit('success', success);
+    }, (err) => {
+      const failure = Object.assign({reason: (err && err.name) || 'Error', error: err}, item);
+      this.summary.failures.push(failure);
+      this.emit('failure', failure);
+
+      if (this.stopOnAuthError && err instanceof AuthError && !this.cancelled) {
+        this.cancel();
+      }
+    })
+    .then(() => {
+      this.active--;
+      this.emit('progress', this._getProgress());
+      this._fill();
+    });
+  }
+
+  /**
+   * @return {Object} {completed, total, succeeded, failed, skipped, cancelled}
+   */
+  _getProgress() {
+    return {
+      completed: this.summary.successes.length + this.summary.failures.length + this.summary.skipped.length +
+        this.summary.cancelled.length,
+      total: this.total,
+      succeeded: this.summary.successes.length,
+      failed: this.summary.failures.length,
+      skipped: this.summary.skipped.length,
+      cancelled: this.summary.cancelled.length
+    };
+  }
+
+  _finishIfDone() {
+    if (this.active > 0 || (this.queue.length > 0 && !this.cancelled) || this._finished) {
+      return;
+    }
+
+    this._finished = true;
+    this.emit('done', this.summary);
+    this._resolve(this.summary);
+  }
+}
@@ -0,0 +1,297 @@
+import {formatDate, getCurrentPosition} from './dates.js';
+
+/**
+ * Converts the SocialProfile and company objects returned by Voyager to
+ * formats other tools understand: CSV, vCard 4.0 and JSON Resume.
+ */
+
+// LinkedIn phone types to vCard TEL types.
+const VCARD_PHONE_TYPES = {
+  MOBILE: 'cell',
+  WORK: 'work',
+  HOME: 'home',
+  FAX: 'fax',
+  PAGER: 'pager'
+};
+
+export const DEFAULT_PROFILE_COLUMNS = [
+  'firstname',
+  'lastname',
+  'headline',
+  'occupation',
+  {header: 'currentTitle', value: p => (getCurrentPosition(p.positions) || {}).title || ''},
+  {header: 'currentCompany', value: p => (getCurrentPosition(p.positions) || {}).companyName || ''},
+  'location',
+  'industryName',
+  'emailAddress',
+  {header: 'phoneNumbers', value: p => (p.phoneNumbers || []).map(phone => phone.number)},
+  'twitterHandles',
+  {header: 'websites', value: p => (p.websites || []).map(w => w.website)},
+  'skills',
+  'languages',
+  'publicIdentifier',
+  {header: 'linkedInUrl', value: p => (p.publicIdentifier ? `https://www.linkedin.com/in/${p.publicIdentifier}/` : '')}
+];
+
+export const DEFAULT_COMPANY_COLUMNS = [
+  'name',
+  'universalName',
+  'linkedInId',
+  'domain',
+  'pageUrl',
+  'type',
+  'industries',
+  'staffCount',
+  'foundedOn',
+  'city',
+  'geographicArea',
+  'country',
+  'postalCode',
+  'linkedInFollowerCount',
+  'linkedInPageUrl'
+];
+
+/**
+ * Flattens records to CSV (RFC 4180). A column is either a property path
+ * ("positions.0.title") or {header, value} where value is a path or a
+ * function that gets the record. Arrays are joined with "; ". Text starting
+ * with =, +, -, @, a tab or a carriage return gets a leading ' so
+ * spreadsheets do not run it as a formula.
+ * @param  {Object[]} records
+ * @param  {Array} columns
+ * @return {String}
+ */
+export function toCSV(records, columns) {
+  const normalizedColumns = columns.map((column) => {
+    return (typeof column === 'string') ? {header: column, value: column} : column;
+  });
+
+  const rows = [normalizedColumns.map(column => column.header)];
+  (records || []).forEach((record) => {
+    rows.push(normalizedColumns.map((column) => {
+      return (typeof column.value === 'function') ? column.value(record) : getPath(record, column.value);
+    }));
+  });
+
+  return rows.map(row => row.map(escapeCSVValue).join(',')).join('\r\n');
+}
+
+/**
+ * @param  {Object[]} profiles SocialProfiles
+ * @param  {Array} columns     defaults to DEFAULT_PROFILE_COLUMNS, see toCSV.
+ * @return {String}
+ */
+export function profilesToCSV(profiles, columns) {
+  return toCSV(profiles, columns || DEFAULT_PROFILE_COLUMNS);
+}
+
+/**
+ * @param  {Object[]} companies scrubbed companies
+ * @param  {Array} columns      defaults to DEFAULT_COMPANY_COLUMNS, see toCSV.
+ * @return {String}
+ */
+export function companiesToCSV(companies, columns) {
+  return toCSV(companies, columns || DEFAULT_COMPANY_COLUMNS);
+}
+
+/**
+ * Builds a vCard 4.0 (RFC 6350) for a profile.
+ * @param  {Object} profile SocialProfile
+ * @return {String}
+ */
+export function profileToVCard(profile) {
+  const current = getCurrentPosition(profile.positions);
+  const fullName = [profile.firstname, profile.lastname].filter(name => !!name).join(' ');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    `FN:${escapeVCardValue(fullName)}`,
+    `N:${escapeVCardValue(profile.lastname || '')};${escapeVCardValue(profile.firstname || '')};;;`
+  ];
+
+  if (profile.emailAddress) {
+    lines.push(`EMAIL;TYPE=work:${escapeVCardValue(profile.emailAddress)}`);
+  }
+
+  (profile.phoneNumbers || []).forEach((phone) => {
+    const type = VCARD_PHONE_TYPES[phone.type] || 'voice';
+    lines.push(`TEL;VALUE=uri;TYPE=${type}:tel:${String(phone.number || '').replace(/[^\d+]/g, '')}`);
+  });
+
+  if (current && current.title) {
+    lines.push(`TITLE:${escapeVCardValue(current.title)}`);
+  }
+
+  if (current && current.companyName) {
+    lines.push(`ORG:${escapeVCardValue(current.companyName)}`);
+  }
+
+  if (profile.picture) {
+    lines.push(`PHOTO:${profile.picture}`);
+  }
+
+  if (profile.publicIdentifier) {
+    lines.push(`URL;TYPE=linkedin:https://www.linkedin.com/in/${profile.publicIdentifier}/`);
+  }
+
+  (profile.websites || []).forEach((website) => {
+    lines.push(`URL;TYPE=${escapeVCardValue(String(website.type || 'other').toLowerCase())}:${website.website}`);
+  });
+
+  if (profile.headline) {
+    lines.push(`NOTE:${escapeVCardValue(profile.headline)}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Maps a profile to the JSON Resume schema (https://jsonresume.org/schema/).
+ * @param  {Object} profile SocialProfile
+ * @return {Object}
+ */
+export function profileToJSONResume(profile) {
+  const linkedInUrl = profile.publicIdentifier ? `https://www.linkedin.com/in/${profile.publicIdentifier}/` : '';
+  const socialProfiles = [];
+  if (profile.publicIdentifier) {
+    socialProfiles.push({network: 'LinkedIn', username: profile.publicIdentifier, url: linkedInUrl});
+  }
+  (profile.twitterHandles || []).forEach((handle) => {
+    socialProfiles.push({network: 'Twitter', username: handle, url: `https://twitter.com/${handle}`});
+  });
+
+  return {
+    basics: {
+      name: [profile.firstname, profile.lastname].filter(name => !!name).join(' '),
+      label: profile.headline || '',
+      image: profile.picture || '',
+      email: profile.emailAddress || '',
+      phone: ((profile.phoneNumbers || [])[0] || {}).number || '',
+      url: ((profile.websites || [])[0] || {}).website || '',
+      summary: profile.summary || '',
+      location: {address: profile.address || '', region: profile.location || ''},
+      profiles: socialProfiles
+    },
+    work: (profile.positions || []).map((position) => {
+      return Object.assign({
+        name: position.companyName || '',
+        position: position.title || '',
+        location: position.locationName || '',
+        summary: position.description || ''
+      }, formatTimePeriod(position.timePeriod));
+    }),
+    education: (profile.education || []).map((education) => {
+      return Object.assign({
+        institution: education.schoolName || '',
+        area: education.fieldOfStudy || '',
+        studyType: education.degreeName || ''
+      }, formatTimePeriod(education.timePeriod));
+    }),
+    publications: (profile.publications || []).map((publication) => {
+      return {
+        name: publication.name || '',
+        publisher: publication.publisher || '',
+        releaseDate: formatDate(publication.date),
+        url: publication.url || '',
+        summary: publication.description || ''
+      };
+    }),
+    projects: (profile.projects || []).map((project) => {
+      return Object.assign({
+        name: project.title || '',
+        description: project.description || '',
+        url: project.url || ''
+      }, formatTimePeriod(project.timePeriod));
+    }),
+    skills: (profile.skills || []).map(name => ({name})),
+    languages: (profile.languages || []).map(language => ({language}))
+  };
+}
+
+/**
+ * Reads a property path like "positions.0.title".
+ * @param  {Object} obj
+ * @param  {String} path
+ * @return {*} undefined if the path does not exist.
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => {
+    return (value === undefined || value === null) ? undefined : value[key];
+  }, obj);
+}
+
+/**
+ * @param  {*} value
+ * @return {String}
+ */
+function escapeCSVValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  if (Array.isArray(value)) {
+    value = value.join('; ');
+  } else if (typeof value === 'object') {
+    value = JSON.stringify(value);
+  }
+
+  value = String(value);
+  if (/^[=+\-@\t\r]/.test(value)) {
+    value = `'${value}`;
+  }
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Escapes the characters with a meaning in vCard text values.
+ * @param  {String} value
+ * @return {String}
+ */
+function escapeVCardValue(value) {
+  return String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds vCard lines longer than 75 octets of UTF-8, the leading space of the
+ * continuation lines included, between characters only.
+ * @param  {String} line
+ * @return {String}
+ */
+function foldVCardLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [''];
+  let octets = 0;
+  Array.from(line).forEach((character) => {
+    const length = encoder.encode(character).length;
+    if (octets + length > 75) {
+      chunks.push('');
+      octets = 1;
+    }
+    chunks[chunks.length - 1] += character;
+    octets += length;
+  });
+  return chunks.join('\r\n ');
+}
+
+/**
+ * @param  {Object} timePeriod {startDate, endDate}
+ * @return {Object} {startDate, endDate} ISO dates, endDate is left out for
+ *                  ongoing periods.
+ */
+function formatTimePeriod(timePeriod) {
+  const dates = {startDate: formatDate(timePeriod && timePeriod.startDate)};
+  const endDate = formatDate(timePeriod && timePeriod.endDate);
+  if (endDate) {
+    dates.endDate = endDate;
+  }
+  return dates;
+}
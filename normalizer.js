@@ -0,0 +1,120 @@
+/**
+ * Support for the normalized Voyager format. Responses come as
+ * {data, included}: data holds the requested entity and included every
+ * entity it references. References are fields prefixed with "*" whose value
+ * is an urn, or an array of urns, of an included entity:
+ *
+ *   {data: {'*elements': ['urn:li:fs_position:(ACoAA,1)']},
+ *    included: [{entityUrn: 'urn:li:fs_position:(ACoAA,1)', title: 'CTO', '*company': 'urn:li:fs_company:1'}]}
+ *
+ * The EntityGraph indexes included by urn and hands out copies where every
+ * reference is replaced by a getter, without the "*", that resolves the
+ * referenced entity the first time it is read. That gives back the nested
+ * shape the scrubbers expect ({elements: [{title, company}]}).
+ */
+export const NORMALIZED_JSON = 'application/vnd.linkedin.normalized+json+2.1';
+
+export default class EntityGraph {
+  /**
+   * @param  {Object} response normalized response, {data, included}
+   */
+  constructor(response) {
+    this.data = (response && response.data) || {};
+    this.entities = {};
+    this.resolved = {};
+
+    ((response && response.included) || []).forEach((entity) => {
+      if (entity && entity.entityUrn) {
+        this.entities[entity.entityUrn] = entity;
+      }
+    });
+  }
+
+  /**
+   * Resolves the data section of the response.
+   * @return {Object}
+   */
+  root() {
+    return this.resolve(this.data);
+  }
+
+  /**
+   * Returns an included entity with its references resolved. The same urn
+   * always returns the same object.
+   * @param  {String} urn
+   * @return {Object} null if the entity was not included.
+   */
+  get(urn) {
+    if (!this.entities.hasOwnProperty(urn)) {
+      return null;
+    }
+
+    if (!this.resolved.hasOwnProperty(urn)) {
+      // cache before resolving, so entities that reference each other end up
+      // pointing at the same objects. Descriptors are copied instead of
+      // values so the getters are not triggered.
+      this.resolved[urn] = {};
+      Object.defineProperties(this.resolved[urn], Object.getOwnPropertyDescriptors(this.resolve(this.entities[urn])));
+    }
+    return this.resolved[urn];
+  }
+
+  /**
+   * Copies a node of the response replacing references with lazy getters.
+   * @param  {*} node
+   * @return {*}
+   */
+  resolve(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.resolve(item));
+    }
+
+    if (!node || node.constructor !== Object) {
+      return node;
+    }
+
+    const resolved = {};
+    Object.keys(node).forEach((key) => {
+      if (key.charAt(0) !== '*') {
+        resolved[key] = this.resolve(node[key]);
+        return;
+      }
+
+      const urns = node[key];
+      let value;
+      let isResolved = false;
+      Object.defineProperty(resolved, key.substring(1), {
+        enumerable: true,
+        configurable: true,
+        get: () => {
+          if (!isResolved) {
+            value = Array.isArray(urns) ?
+              urns.map(urn => this.get(urn)).filter(entity => !!entity) :
+              this.get(urns);
+            isResolved = true;
+          }
+          return value;
+        }
+      });
+    });
+    return resolved;
+  }
+}
+
+/**
+ * Tells normalized responses apart from the legacy, denormalized, ones.
+ * @param  {Object} body parsed response body.
+ * @return {Boolean}
+ */
+export function isNormalizedResponse(body) {
+  return !!body && body.constructor === Object && !!body.data && Array.isArray(body.included);
+}
+
+/**
+ * Turns a normalized response into the nested shape of the legacy format.
+ * @param  {Object} body normalized response.
+ * @return {Object}
+ */
+export function denormalize(body) {
+  return new EntityGraph(body).root();
+}
@@ -0,0 +1,384 @@
+import Paginator from './base/Paginator.js';
+import {getPublicIdentifier} from './utils.js';
+import {parseLinkedInUrl, parseLinkedInUrn} from './urls.js';
+
+const SALES_API_URL = 'https://www.linkedin.com/sales-api';
+
+// Fields of salesApiProfiles the lead scrubber reads.
+const LEAD_DECORATION = '(entityUrn,objectUrn,firstName,lastName,fullName,headline,summary,location,industry,' +
+  'flagshipProfileUrl,profilePictureDisplayImage,contactInfo,degree,' +
+  'positions*(title,companyName,companyUrn,description,location,startedOn,endedOn,current),' +
+  'educations*(schoolName,school,degree,fieldsOfStudy,startedOn,endedOn),languages*(name),skills*(name))';
+const LEAD_SEARCH_DECORATION = 'com.linkedin.sales.deco.desktop.searchv2.LeadSearchResult-14';
+const ACCOUNT_SEARCH_DECORATION = 'com.linkedin.sales.deco.desktop.searchv2.AccountSearchResult-4';
+
+/**
+ * Sales Navigator API, shares the session, cache and rate limits of the
+ * Voyager client it is created by, see voyager.salesNavigator.
+ *
+ *   const lead = await voyager.salesNavigator.getLead('https://www.linkedin.com/sales/lead/ACwAA...,NAME_SEARCH,x3Fz');
+ *   for await (const hit of voyager.salesNavigator.searchLeads({keywords: 'cto', currentCompany: 1441})) {...}
+ *
+ * Leads resolve in the SocialProfile shape of getFullProfile, search hits and
+ * list entries in the shape of searchPeople hits.
+ */
+export default class SalesNavigator {
+  /**
+   * @param  {Voyager} voyager
+   */
+  constructor(voyager) {
+    this.voyager = voyager;
+  }
+
+  /**
+   * Fetches a lead profile. Works for leads whose LinkedIn profile is not
+   * public, publicIdentifier is empty for them.
+   * @param  {String} lead    sales profile urn, urn:li:fs_salesProfile:(ACwAA...,NAME_SEARCH,x3Fz),
+   *                          or lead url.
+   * @param  {Object} options {fresh} to skip the cache.
+   * @return {Promise} resolves a SocialProfile.
+   */
+  getLead(lead, options = {}) {
+    const key = this._parseLeadKey(lead);
+    if (!key) {
+      return Promise.reject(new Error('a sales profile urn or lead url is required'));
+    }
+
+    const params = [`profileId:${key.profileId}`];
+    if (key.authType && key.authToken) {
+      params.push(`authType:${key.authType}`, `authToken:${key.authToken}`);
+    }
+
+    const url = `${SALES_API_URL}/salesApiProfiles/(${params.join(',')})?decoration=${encodeURIComponent(LEAD_DECORATION)}`;
+    return this._get(url, 'salesLead', options)
+    .then(res => this.voyager._validate(this._scrubLead(res), 'SocialProfile'));
+  }
+
+  /**
+   * Lists the lead lists of the member.
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of {id, name, description, entityCount, lastModifiedAt}
+   */
+  getLeadLists(options = {}) {
+    return this._getLists('LEAD', options);
+  }
+
+  /**
+   * Lists the account lists of the member.
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of {id, name, description, entityCount, lastModifiedAt}
+   */
+  getAccountLists(options = {}) {
+    return this._getLists('ACCOUNT', options);
+  }
+
+  /**
+   * Iterates the leads saved in a lead list.
+   * @param  {String|Number} listId
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of lead search hits, see searchLeads.
+   */
+  getLeadListEntries(listId, options = {}) {
+    return this.searchLeads({leadList: listId}, options);
+  }
+
+  /**
+   * Iterates the accounts saved in an account list.
+   * @param  {String|Number} listId
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of account search hits, see searchAccounts.
+   */
+  getAccountListEntries(listId, options = {}) {
+    return this.searchAccounts({accountList: listId}, options);
+  }
+
+  /**
+   * Searches leads. Every filter but keywords takes a single value or an array.
+   * @param  {Object} query   {keywords, title, currentCompany, geo, industry, seniority, function, leadList}
+   *                          currentCompany takes company ids, geo region ids,
+   *                          industry industry ids, seniority and function the
+   *                          Sales Navigator facet ids.
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of {firstname, lastname, occupation, publicIdentifier,
+   *                     picture, entityUrn, salesProfileUrn, location, industry,
+   *                     connectionDegree, title, companyName, linkedInCompanyId}
+   */
+  searchLeads(query = {}, options = {}) {
+    const filters = [
+      this._buildFilter('CURRENT_COMPANY', query.currentCompany, id => `urn:li:organization:${id}`),
+      this._buildFilter('CURRENT_TITLE', query.title, null, 'text'),
+      this._buildFilter('REGION', query.geo),
+      this._buildFilter('INDUSTRY', query.industry),
+      this._buildFilter('SENIORITY_LEVEL', query.seniority),
+      this._buildFilter('FUNCTION', query.function),
+      this._buildFilter('LEAD_LIST', query.leadList)
+    ];
+
+    const fetchPage = (start, count) => {
+      const url = `${SALES_API_URL}/salesApiLeadSearch?q=searchQuery&query=${this._buildQuery(query.keywords, filters)}` +
+        `&start=${start}&count=${count}&decorationId=${LEAD_SEARCH_DECORATION}`;
+      return this._get(url, 'salesLeadSearch');
+    };
+    return new Paginator(fetchPage, Object.assign({count: 25, map: lead => this._scrubLeadHit(lead)}, options));
+  }
+
+  /**
+   * Searches accounts. Every filter but keywords takes a single value or an array.
+   * @param  {Object} query   {keywords, geo, industry, headcount, accountList}
+   *                          headcount takes Sales Navigator ranges (B for 1-10, C for 11-50...).
+   * @param  {Object} options Paginator options.
+   * @return {Paginator} of {linkedInId, salesCompanyUrn, name, industry,
+   *                     employeeCountRange, location, description, logo}
+   */
+  searchAccounts(query = {}, options = {}) {
+    const filters = [
+      this._buildFilter('REGION', query.geo),
+      this._buildFilter('INDUSTRY', query.industry),
+      this._buildFilter('COMPANY_HEADCOUNT', query.headcount),
+      this._buildFilter('ACCOUNT_LIST', query.accountList)
+    ];
+
+    const fetchPage = (start, count) => {
+      const url = `${SALES_API_URL}/salesApiAccountSearch?q=searchQuery&query=${this._buildQuery(query.keywords, filters)}` +
+        `&start=${start}&count=${count}&decorationId=${ACCOUNT_SEARCH_DECORATION}`;
+      return this._get(url, 'salesAccountSearch');
+    };
+    return new Paginator(fetchPage, Object.assign({count: 25, map: account => this._scrubAccountHit(account)}, options));
+  }
+
+  /**
+   * @param  {String} listType LEAD or ACCOUNT
+   * @param  {Object} options
+   * @return {Paginator}
+   */
+  _getLists(listType, options) {
+    const fetchPage = (start, count) => {
+      const url = `${SALES_API_URL}/salesApiLists?q=listType&listType=${listType}&sortCriteria=LAST_MODIFIED` +
+        `&start=${start}&count=${count}`;
+      return this._get(url, 'salesLists');
+    };
+    return new Paginator(fetchPage, Object.assign({count: 25, map: list => this._scrubList(list)}, options));
+  }
+
+  /**
+   * @param  {String} url
+   * @param  {String} resource
+   * @param  {Object} options  {fresh}
+   * @return {Promise}
+   */
+  _get(url, resource, options = {}) {
+    return this.voyager._sendRequest(url, {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: this.voyager._getRequestHeaders({'x-restli-protocol-version': '2.0.0'}),
+      resource,
+      fresh: !!options.fresh
+    });
+  }
+
+  /**
+   * @param  {String} lead sales profile urn or lead url.
+   * @return {Object} {profileId, authType, authToken}, null if lead is neither.
+   */
+  _parseLeadKey(lead) {
+    const value = String(lead || '').trim();
+    const parsed = value.indexOf('urn:') === 0 ? parseLinkedInUrn(value) : parseLinkedInUrl(value);
+    if (!parsed || parsed.type !== 'salesLead') {
+      return null;
+    }
+
+    const parts = parsed.id.split(',');
+    return {profileId: parts[0], authType: parts[1] || '', authToken: parts[2] || ''};
+  }
+
+  /**
+   * Builds the Rest.li 2.0 query of the search endpoints,
+   * (keywords:cto,filters:List((type:REGION,values:List((id:103644278,selectionType:INCLUDED))))).
+   * @param  {String} keywords
+   * @param  {String[]} filters see _buildFilter, empty ones are left out.
+   * @return {String}
+   */
+  _buildQuery(keywords, filters) {
+    const fields = [];
+    if (keywords) {
+      fields.push(`keywords:${this._encodeRestliValue(keywords)}`);
+    }
+
+    const activeFilters = filters.filter(filter => !!filter);
+    if (activeFilters.length > 0) {
+      fields.push(`filters:List(${activeFilters.join(',')})`);
+    }
+    return `(${fields.join(',')})`;
+  }
+
+  /**
+   * @param  {String} type        filter type, REGION, CURRENT_COMPANY...
+   * @param  {*} values           a value or an array of them.
+   * @param  {Function} toValue   optional, maps every value to its id.
+   * @param  {String} valueField  id, or text for free text filters.
+   * @return {String} empty if there are no values.
+   */
+  _buildFilter(type, values, toValue, valueField = 'id') {
+    if (values === undefined || values === null || values === '') {
+      return '';
+    }
+
+    const list = (Array.isArray(values) ? values : [values])
+    .map(value => `(${valueField}:${this._encodeRestliValue(toValue ? toValue(value) : value)},selectionType:INCLUDED)`);
+    return `(type:${type},values:List(${list.join(',')}))`;
+  }
+
+  /**
+   * Percent encodes a value, Rest.li reserved characters included.
+   * @param  {*} value
+   * @return {String}
+   */
+  _encodeRestliValue(value) {
+    return encodeURIComponent(String(value)).replace(/[()'!*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  /**
+   * Maps a salesApiProfiles response to the raw profile shape the Voyager
+   * scrubbers read, so leads come out exactly like getFullProfile profiles.
+   * @param  {Object} lead
+   * @return {Object} SocialProfile
+   */
+  _scrubLead(lead) {
+    const contactInfo = lead.contactInfo || {};
+    const emails = contactInfo.emails || [];
+    const toTimePeriod = (item) => {
+      const timePeriod = {};
+      if (item.startedOn) {
+        timePeriod.startDate = item.startedOn;
+      }
+      if (item.endedOn) {
+        timePeriod.endDate = item.endedOn;
+      }
+      return timePeriod;
+    };
+
+    const profile = {
+      publicIdentifier: getPublicIdentifier(lead.flagshipProfileUrl || ''),
+      emailAddress: contactInfo.primaryEmail || (emails[0] && emails[0].emailAddress) || '',
+      profile: {
+        firstName: lead.firstName,
+        lastName: lead.lastName,
+        headline: lead.headline,
+        industryName: lead.industry,
+        summary: lead.summary,
+        locationName: lead.location,
+        miniProfile: {occupation: lead.headline}
+      },
+      phoneNumbers: (contactInfo.phoneNumbers || []).map(phone => ({number: phone.number || '', type: phone.type || ''})),
+      twitterHandles: (contactInfo.socialHandles || [])
+      .filter(handle => handle.type === 'TWITTER')
+      .map(handle => ({name: handle.name})),
+      websites: (contactInfo.websites || []).map((website) => {
+        return {url: website.url, type: {'com.linkedin.sales.Website': {category: website.category}}};
+      }),
+      positionView: {elements: (lead.positions || []).map((position) => {
+        return {
+          title: position.title,
+          companyName: position.companyName,
+          companyUrn: position.companyUrn,
+          description: position.description,
+          locationName: position.location,
+          timePeriod: toTimePeriod(position)
+        };
+      })},
+      educationView: {elements: (lead.educations || []).map((education) => {
+        return {
+          schoolName: education.schoolName,
+          schoolUrn: typeof education.school === 'string' ? education.school : '',
+          degreeName: education.degree,
+          fieldOfStudy: (education.fieldsOfStudy || []).join(', '),
+          timePeriod: toTimePeriod(education)
+        };
+      })},
+      languageView: {elements: lead.languages || []},
+      skillView: {elements: lead.skills || []}
+    };
+
+    const socialProfile = this.voyager._scrubFullProfileResponse(profile);
+    socialProfile.picture = this._scrubDisplayImage(lead.profilePictureDisplayImage);
+    return socialProfile;
+  }
+
+  /**
+   * @param  {Object} lead lead search result.
+   * @return {Object} null if lead has no urn.
+   */
+  _scrubLeadHit(lead) {
+    if (!lead || !lead.entityUrn) {
+      return null;
+    }
+
+    const position = (lead.currentPositions || [])[0] || {};
+    const occupation = position.title && position.companyName ? `${position.title} at ${position.companyName}` : (position.title || '');
+    return {
+      firstname: lead.firstName || '',
+      lastname: lead.lastName || '',
+      occupation,
+      publicIdentifier: '',
+      picture: this._scrubDisplayImage(lead.profilePictureDisplayImage),
+      entityUrn: lead.objectUrn || '',
+      salesProfileUrn: lead.entityUrn,
+      location: lead.geoRegion || '',
+      industry: lead.industry || '',
+      connectionDegree: typeof lead.degree === 'number' ? lead.degree : -1,
+      title: position.title || '',
+      companyName: position.companyName || '',
+      linkedInCompanyId: this.voyager._scrubIdFromUrn(position.companyUrn)
+    };
+  }
+
+  /**
+   * @param  {Object} account account search result.
+   * @return {Object} null if account has no urn.
+   */
+  _scrubAccountHit(account) {
+    if (!account || !account.entityUrn) {
+      return null;
+    }
+
+    return {
+      linkedInId: this.voyager._scrubIdFromUrn(account.entityUrn),
+      salesCompanyUrn: account.entityUrn,
+      name: account.companyName || '',
+      industry: account.industry || '',
+      employeeCountRange: account.employeeCountRange || '',
+      location: account.location || '',
+      description: account.description || '',
+      logo: this._scrubDisplayImage(account.companyPictureDisplayImage)
+    };
+  }
+
+  /**
+   * @param  {Object} list salesApiLists element.
+   * @return {Object}
+   */
+  _scrubList(list) {
+    return {
+      id: String(list.id || ''),
+      name: list.name || '',
+      description: list.description || '',
+      entityCount: list.entityCount || 0,
+      lastModifiedAt: list.lastModifiedAt || 0
+    };
+  }
+
+  /**
+   * Sales Navigator images come as a root url plus one path segment per
+   * size, the largest one is used.
+   * @param  {Object} image {rootUrl, artifacts: [{width, fileIdentifyingUrlPathSegment}]}
+   * @return {String}
+   */
+  _scrubDisplayImage(image) {
+    if (!image || !image.rootUrl || !Array.isArray(image.artifacts) || image.artifacts.length === 0) {
+      return '';
+    }
+
+    const largest = image.artifacts.reduce((best, artifact) => ((artifact.width || 0) > (best.width || 0) ? artifact : best));
+    return `${image.rootUrl}${largest.fileIdentifyingUrlPathSegment || ''}`;
+  }
+}
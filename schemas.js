@@ -0,0 +1,521 @@
+/**
+ * JSON Schemas (draft-07) of the objects the Voyager scrubbers return, and a
+ * small validator for them. The schemas are the contract with whatever
+ * ingests these objects: every property listed is always present.
+ */
+
+const string = {type: 'string'};
+const stringArray = {type: 'array', items: string};
+const nullableInteger = {type: ['integer', 'null']};
+// ISO 8601 dates with the parts LinkedIn does not have left out, see dates.js.
+const isoDate = {type: 'string'};
+
+export const definitions = {
+  Date: {
+    type: 'object',
+    properties: {
+      year: {type: 'integer'},
+      month: {type: 'integer'},
+      day: {type: 'integer'}
+    }
+  },
+  TimePeriod: {
+    type: 'object',
+    properties: {
+      startDate: {$ref: '#/definitions/Date'},
+      endDate: {$ref: '#/definitions/Date'}
+    }
+  },
+  Gap: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['startedOn', 'endedOn', 'months'],
+    properties: {
+      startedOn: isoDate,
+      endedOn: isoDate,
+      months: {type: 'integer'}
+    }
+  },
+  Member: {
+    type: 'object',
+    required: ['firstname', 'lastname', 'occupation', 'publicIdentifier', 'picture'],
+    properties: {
+      firstname: string,
+      lastname: string,
+      occupation: string,
+      publicIdentifier: string,
+      picture: string
+    }
+  },
+  Patent: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'applicationNumber', 'description', 'filingDate', 'issueDate', 'filedOn', 'issuedOn', 'number', 'pending',
+      'title', 'url', 'inventors'
+    ],
+    properties: {
+      applicationNumber: string,
+      description: string,
+      filingDate: {$ref: '#/definitions/Date'},
+      issueDate: {$ref: '#/definitions/Date'},
+      filedOn: isoDate,
+      issuedOn: isoDate,
+      number: string,
+      pending: {type: 'boolean'},
+      title: string,
+      url: string,
+      inventors: {type: 'array', items: {$ref: '#/definitions/Member'}}
+    }
+  },
+  Publication: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['date', 'publishedOn', 'description', 'name', 'publisher', 'url', 'authors'],
+    properties: {
+      date: {$ref: '#/definitions/Date'},
+      publishedOn: isoDate,
+      description: string,
+      name: string,
+      publisher: string,
+      url: string,
+      authors: {type: 'array', items: {$ref: '#/definitions/Member'}}
+    }
+  },
+  Project: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['description', 'timePeriod', 'title', 'url', 'members', 'startedOn', 'endedOn', 'current', 'durationMonths'],
+    properties: {
+      description: string,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      title: string,
+      url: string,
+      members: {type: 'array', items: {$ref: '#/definitions/Member'}},
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  Position: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'locationName', 'companyName', 'linkedInCompanyId', 'description', 'timePeriod', 'title', 'company',
+      'startedOn', 'endedOn', 'current', 'durationMonths'
+    ],
+    properties: {
+      locationName: string,
+      companyName: string,
+      linkedInCompanyId: nullableInteger,
+      description: string,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      title: string,
+      company: {
+        type: ['object', 'null'],
+        additionalProperties: false,
+        required: ['employeeCountRange', 'industries', 'logo'],
+        properties: {
+          employeeCountRange: {type: 'object'},
+          industries: stringArray,
+          logo: string
+        }
+      },
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  Education: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'activities', 'degreeName', 'fieldOfStudy', 'timePeriod', 'schoolName', 'linkedInSchoolId', 'school',
+      'startedOn', 'endedOn', 'current', 'durationMonths'
+    ],
+    properties: {
+      activities: string,
+      degreeName: string,
+      fieldOfStudy: string,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      schoolName: string,
+      linkedInSchoolId: nullableInteger,
+      school: {
+        type: ['object', 'null'],
+        additionalProperties: false,
+        required: ['active', 'name', 'logo'],
+        properties: {
+          active: {type: 'boolean'},
+          name: string,
+          logo: string
+        }
+      },
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  Certification: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'name', 'authority', 'licenseNumber', 'url', 'linkedInCompanyId', 'timePeriod',
+      'startedOn', 'endedOn', 'current', 'durationMonths'
+    ],
+    properties: {
+      name: string,
+      authority: string,
+      licenseNumber: string,
+      url: string,
+      linkedInCompanyId: nullableInteger,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  VolunteerExperience: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'role', 'companyName', 'linkedInCompanyId', 'cause', 'description', 'timePeriod',
+      'startedOn', 'endedOn', 'current', 'durationMonths'
+    ],
+    properties: {
+      role: string,
+      companyName: string,
+      linkedInCompanyId: nullableInteger,
+      cause: string,
+      description: string,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  Honor: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'issuer', 'description', 'issueDate', 'issuedOn'],
+    properties: {
+      title: string,
+      issuer: string,
+      description: string,
+      issueDate: {$ref: '#/definitions/Date'},
+      issuedOn: isoDate
+    }
+  },
+  Course: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'number'],
+    properties: {
+      name: string,
+      number: string
+    }
+  },
+  TestScore: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'score', 'description', 'date', 'takenOn'],
+    properties: {
+      name: string,
+      score: string,
+      description: string,
+      date: {$ref: '#/definitions/Date'},
+      takenOn: isoDate
+    }
+  },
+  Organization: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'position', 'description', 'timePeriod', 'startedOn', 'endedOn', 'current', 'durationMonths'],
+    properties: {
+      name: string,
+      position: string,
+      description: string,
+      timePeriod: {$ref: '#/definitions/TimePeriod'},
+      startedOn: isoDate,
+      endedOn: isoDate,
+      current: {type: 'boolean'},
+      durationMonths: nullableInteger
+    }
+  },
+  Recommendation: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['text', 'relationship', 'createdAt', 'recommender'],
+    properties: {
+      text: string,
+      relationship: string,
+      createdAt: {type: 'integer'},
+      recommender: {$ref: '#/definitions/Member'}
+    }
+  },
+  SkillEndorsement: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'endorsementCount'],
+    properties: {
+      name: string,
+      endorsementCount: {type: 'integer'}
+    }
+  },
+  Website: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['website', 'type'],
+    properties: {
+      website: string,
+      type: string
+    }
+  },
+  PhoneNumber: {
+    type: 'object',
+    required: ['number'],
+    properties: {
+      number: string,
+      type: string
+    }
+  },
+  SocialProfile: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'source', 'firstname', 'lastname', 'headline', 'industryName', 'summary', 'location',
+      'emailAddress', 'publicIdentifier', 'occupation', 'address', 'birthdate', 'phoneNumbers',
+      'twitterHandles', 'picture', 'education', 'patents', 'publications', 'projects', 'positions',
+      'languages', 'skills', 'websites', 'yearsOfExperience', 'currentCompanyTenureMonths', 'employmentGaps',
+      'certifications', 'volunteerExperiences', 'honors', 'courses', 'testScores', 'organizations', 'recommendations',
+      'skillEndorsements'
+    ],
+    properties: {
+      source: {enum: ['LinkedIn']},
+      firstname: string,
+      lastname: string,
+      headline: string,
+      industryName: string,
+      summary: string,
+      location: string,
+      emailAddress: string,
+      publicIdentifier: string,
+      occupation: string,
+      address: string,
+      birthdate: {$ref: '#/definitions/Date'},
+      phoneNumbers: {type: 'array', items: {$ref: '#/definitions/PhoneNumber'}},
+      twitterHandles: stringArray,
+      picture: string,
+      education: {type: 'array', items: {$ref: '#/definitions/Education'}},
+      patents: {type: 'array', items: {$ref: '#/definitions/Patent'}},
+      publications: {type: 'array', items: {$ref: '#/definitions/Publication'}},
+      projects: {type: 'array', items: {$ref: '#/definitions/Project'}},
+      positions: {type: 'array', items: {$ref: '#/definitions/Position'}},
+      languages: stringArray,
+      skills: stringArray,
+      websites: {type: 'array', items: {$ref: '#/definitions/Website'}},
+      yearsOfExperience: {type: 'number'},
+      currentCompanyTenureMonths: nullableInteger,
+      employmentGaps: {type: 'array', items: {$ref: '#/definitions/Gap'}},
+      certifications: {type: 'array', items: {$ref: '#/definitions/Certification'}},
+      volunteerExperiences: {type: 'array', items: {$ref: '#/definitions/VolunteerExperience'}},
+      honors: {type: 'array', items: {$ref: '#/definitions/Honor'}},
+      courses: {type: 'array', items: {$ref: '#/definitions/Course'}},
+      testScores: {type: 'array', items: {$ref: '#/definitions/TestScore'}},
+      organizations: {type: 'array', items: {$ref: '#/definitions/Organization'}},
+      recommendations: {type: 'array', items: {$ref: '#/definitions/Recommendation'}},
+      skillEndorsements: {type: 'array', items: {$ref: '#/definitions/SkillEndorsement'}},
+      // only set by getFullProfile with options.partial
+      failedResources: stringArray
+    }
+  },
+  School: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'source', 'linkedInId', 'linkedInUrn', 'name', 'universalName', 'linkedInPageUrl', 'pageUrl', 'domain',
+      'description', 'type', 'city', 'country', 'geographicArea', 'addr1', 'addr2', 'postalCode', 'studentCount',
+      'alumniCount', 'logo', 'backgroundCoverImage'
+    ],
+    properties: {
+      source: {enum: ['LinkedIn']},
+      linkedInId: nullableInteger,
+      linkedInUrn: string,
+      name: string,
+      universalName: string,
+      linkedInPageUrl: string,
+      pageUrl: string,
+      domain: string,
+      description: string,
+      type: string,
+      city: string,
+      country: string,
+      geographicArea: string,
+      addr1: string,
+      addr2: string,
+      postalCode: string,
+      studentCount: {type: 'integer'},
+      alumniCount: {type: 'integer'},
+      logo: string,
+      backgroundCoverImage: string
+    }
+  },
+  Company: {
+    type: 'object',
+    additionalProperties: false,
+    required: [
+      'source', 'affiliatedCompanies', 'pageUrl', 'domain', 'type', 'confirmedLocations', 'description',
+      'linkedInUrn', 'name', 'specialities', 'universalName', 'linkedInPageUrl', 'parentCompanyLinkedInId',
+      'linkedInId', 'foundedOn', 'industries', 'city', 'country', 'geographicArea', 'addr1', 'addr2',
+      'postalCode', 'linkedInFollowerCount', 'staffCount', 'logo', 'backgroundCoverImage', 'backgroundCoverPhoto'
+    ],
+    properties: {
+      source: {enum: ['LinkedIn']},
+      affiliatedCompanies: {type: 'array'},
+      pageUrl: string,
+      domain: string,
+      type: string,
+      confirmedLocations: {type: 'array'},
+      description: string,
+      linkedInUrn: string,
+      name: string,
+      specialities: stringArray,
+      universalName: string,
+      linkedInPageUrl: string,
+      parentCompanyLinkedInId: nullableInteger,
+      linkedInId: nullableInteger,
+      foundedOn: nullableInteger,
+      industries: stringArray,
+      city: string,
+      country: string,
+      geographicArea: string,
+      addr1: string,
+      addr2: string,
+      postalCode: string,
+      linkedInFollowerCount: {type: 'integer'},
+      staffCount: {type: 'integer'},
+      logo: string,
+      backgroundCoverImage: string,
+      backgroundCoverPhoto: string
+    }
+  }
+};
+
+/**
+ * Builds a standalone schema for one of the definitions.
+ * @param  {String} name
+ * @return {Object}
+ */
+export function getSchema(name) {
+  if (!definitions.hasOwnProperty(name)) {
+    throw new Error(`unknown schema ${name}`);
+  }
+
+  return Object.assign({$schema: 'http://json-schema.org/draft-07/schema#', title: name, definitions}, definitions[name]);
+}
+
+/**
+ * Validates a value against one of the definitions. Supports the subset of
+ * JSON Schema the definitions use: type, enum, properties, required,
+ * additionalProperties: false, items and local $ref.
+ * @param  {*} value
+ * @param  {String} name definition name, SocialProfile, Company...
+ * @return {Object[]} violations, {path, message}. Empty if value is valid.
+ */
+export function validate(value, name) {
+  const violations = [];
+  validateNode(value, {$ref: `#/definitions/${name}`}, name, violations);
+  return violations;
+}
+
+/**
+ * @param  {*} value
+ * @param  {Object} schema
+ * @param  {String} path       of value, for the violation messages.
+ * @param  {Object[]} violations
+ */
+function validateNode(value, schema, path, violations) {
+  if (schema.$ref) {
+    schema = definitions[schema.$ref.replace('#/definitions/', '')];
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    violations.push({path, message: `must be one of ${schema.enum.join(', ')}`});
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isOfType(value, type))) {
+      violations.push({path, message: `must be ${types.join(' or ')}, got ${describeType(value)}`});
+      return;
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, violations));
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return;
+  }
+
+  (schema.required || []).forEach((key) => {
+    if (!value.hasOwnProperty(key)) {
+      violations.push({path: `${path}.${key}`, message: 'is required'});
+    }
+  });
+
+  const properties = schema.properties || {};
+  Object.keys(value).forEach((key) => {
+    if (properties.hasOwnProperty(key)) {
+      validateNode(value[key], properties[key], `${path}.${key}`, violations);
+    } else if (schema.additionalProperties === false) {
+      violations.push({path: `${path}.${key}`, message: 'is not allowed'});
+    }
+  });
+}
+
+/**
+ * @param  {*} value
+ * @param  {String} type JSON Schema type.
+ * @return {Boolean}
+ */
+function isOfType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * @param  {*} value
+ * @return {String}
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && isNaN(value)) {
+    return 'NaN';
+  }
+  return typeof value;
+}
@@ -0,0 +1,54 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {diffProfiles, hasJobChange} from '../diff.js';
+
+const ACME = {companyName: 'Acme', linkedInCompanyId: 1441};
+const ENGINEER = Object.assign({title: 'Engineer', startedOn: '2018-01', current: true}, ACME);
+const ENGINEER_ENDED = Object.assign({}, ENGINEER, {endedOn: '2021-05', current: false});
+const SENIOR_ENGINEER = Object.assign({}, ENGINEER, {title: 'Senior Engineer'});
+const CTO = {title: 'CTO', companyName: 'Beta', linkedInCompanyId: 2001, startedOn: '2021-06', current: true};
+
+// [case, before, after, changes]
+const DIFFS = [
+  ['ending the only current position', {positions: [ENGINEER]}, {positions: [ENGINEER_ENDED]}, [
+    {type: 'positionEnded', position: ENGINEER_ENDED},
+    {type: 'companyChanged', from: ACME, to: null}
+  ]],
+  ['a new title at the same company', {positions: [ENGINEER]}, {positions: [SENIOR_ENGINEER]}, [
+    {type: 'titleChanged', from: 'Engineer', to: 'Senior Engineer'}
+  ]],
+  ['joining another company', {positions: [ENGINEER]}, {positions: [CTO, ENGINEER]}, [
+    {type: 'positionAdded', position: CTO},
+    {type: 'companyChanged', from: ACME, to: {companyName: 'Beta', linkedInCompanyId: 2001}}
+  ]],
+  ['skills in another order and case', {skills: ['Go', 'SQL']}, {skills: ['sql', 'Go', 'Rust']}, [
+    {type: 'skillAdded', skill: 'Rust'}
+  ]],
+  ['whitespace in the headline', {headline: 'CTO  at Beta'}, {headline: 'CTO at Beta'}, []],
+  ['reordered positions', {positions: [ENGINEER_ENDED, CTO]}, {positions: [CTO, ENGINEER_ENDED]}, []],
+  ['reordered current positions', {positions: [ENGINEER, CTO]}, {positions: [CTO, ENGINEER]}, []],
+  [
+    'new picture and logo urls',
+    {picture: 'https://media.licdn.com/a.jpg?e=1', positions: [Object.assign({company: {logo: 'https://media.licdn.com/l.png?e=1'}}, CTO)]},
+    {picture: 'https://media.licdn.com/b.jpg?e=2', positions: [Object.assign({company: {logo: 'https://media.licdn.com/l.png?e=2'}}, CTO)]},
+    []
+  ]
+];
+
+describe('diffProfiles', () => {
+  DIFFS.forEach(([name, before, after, changes]) => {
+    it(name, () => {
+      assert.deepEqual(diffProfiles(before, after), changes);
+    });
+  });
+});
+
+describe('hasJobChange', () => {
+  it('counts joining a company', () => {
+    assert.equal(hasJobChange(diffProfiles({positions: [ENGINEER]}, {positions: [CTO, ENGINEER]})), true);
+  });
+
+  it('does not count leaving the last one', () => {
+    assert.equal(hasJobChange(diffProfiles({positions: [ENGINEER]}, {positions: [ENGINEER_ENDED]})), false);
+  });
+});
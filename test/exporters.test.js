@@ -0,0 +1,54 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {toCSV, profilesToCSV, profileToVCard} from '../exporters.js';
+
+describe('toCSV', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    assert.equal(toCSV([{a: 'x, "y"\nz'}], ['a']), 'a\r\n"x, ""y""\nz"');
+  });
+
+  ['=HYPERLINK("http://evil.example","CEO")', '+1 555 0100', '-2+3', '@SUM(A1:A2)', '\tCEO', '\rCEO']
+  .forEach((headline) => {
+    it(`keeps ${JSON.stringify(headline)} from running as a formula`, () => {
+      const value = toCSV([{headline}], ['headline']).split('\r\n')[1].replace(/^"|"$/g, '').replace(/""/g, '"');
+      assert.equal(value, `'${headline}`);
+    });
+  });
+
+  it('leaves numbers alone', () => {
+    assert.equal(toCSV([{staffCount: -1}], ['staffCount']), 'staffCount\r\n-1');
+  });
+
+  it('neutralizes joined arrays too', () => {
+    assert.equal(profilesToCSV([{skills: ['=1+1', 'Go']}], ['skills']), 'skills\r\n\'=1+1; Go');
+  });
+});
+
+describe('profileToVCard', () => {
+  const unfold = vcard => vcard.replace(/\r\n /g, '');
+
+  it('folds lines at 75 octets of UTF-8', () => {
+    const profile = {firstname: 'Александр', lastname: 'Достоевский-Толстой-Чайковский-Римский-Корсаков'};
+    const vcard = profileToVCard(profile);
+    vcard.split('\r\n').forEach((line) => {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    });
+    assert.match(unfold(vcard), /^FN:Александр Достоевский-Толстой-Чайковский-Римский-Корсаков$/m);
+  });
+
+  it('never splits a character across lines', () => {
+    const profile = {firstname: 'Jane', lastname: 'Doe', headline: `${'a'.repeat(69)}🚀🚀🚀 building things`};
+    const vcard = profileToVCard(profile);
+    vcard.split('\r\n').forEach((line) => {
+      assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(line), line);
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    });
+    assert.match(unfold(vcard), /^NOTE:a{69}🚀🚀🚀 building things$/m);
+  });
+
+  it('leaves short lines alone', () => {
+    assert.equal(profileToVCard({firstname: 'Jane', lastname: 'Doe'}), [
+      'BEGIN:VCARD', 'VERSION:4.0', 'FN:Jane Doe', 'N:Doe;Jane;;;', 'END:VCARD', ''
+    ].join('\r\n'));
+  });
+});
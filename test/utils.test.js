@@ -0,0 +1,70 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseName, scrubName} from '../utils.js';
+
+const EMPTY_NAME = {prefix: '', first: '', middle: '', last: '', suffix: '', credentials: [], nickname: ''};
+
+// [input, parts parseName sets, scrubName output]
+const NAMES = [
+  ['John Smith', {first: 'John', last: 'Smith'}, 'John Smith'],
+  ['John A. Smith', {first: 'John', middle: 'A.', last: 'Smith'}, 'John Smith'],
+  ['Mary Ann Smith', {first: 'Mary', middle: 'Ann', last: 'Smith'}, 'Mary Smith'],
+  ['Jane Doe, PhD, MBA', {first: 'Jane', last: 'Doe', credentials: ['PhD', 'MBA']}, 'Jane Doe'],
+  ['Jane Doe PhD', {first: 'Jane', last: 'Doe', credentials: ['PhD']}, 'Jane Doe'],
+  ['Jane Doe, Certified Scrum Master', {first: 'Jane', last: 'Doe', credentials: ['Certified Scrum Master']}, 'Jane Doe'],
+  ['Dr. Jane Doe', {prefix: 'Dr.', first: 'Jane', last: 'Doe'}, 'Jane Doe'],
+  ['Prof. Dr. Hans Müller', {prefix: 'Prof. Dr.', first: 'Hans', last: 'Müller'}, 'Hans Muller'],
+  ['Martin Luther King Jr.', {first: 'Martin', middle: 'Luther', last: 'King', suffix: 'Jr.'}, 'Martin King'],
+  ['John Smith, Jr., CPA', {first: 'John', last: 'Smith', suffix: 'Jr.', credentials: ['CPA']}, 'John Smith'],
+  ['Mary Smith-Jones', {first: 'Mary', last: 'Smith-Jones'}, 'Mary Smith-Jones'],
+  ['Anna van der Berg', {first: 'Anna', last: 'van der Berg'}, 'Anna van der Berg'],
+  ['Maria de la Cruz', {first: 'Maria', last: 'de la Cruz'}, 'Maria de la Cruz'],
+  ['José Ortega y Gasset', {first: 'José', last: 'Ortega y Gasset'}, 'Jose Ortega y Gasset'],
+  ['Gabriel García Márquez', {first: 'Gabriel', middle: 'García', last: 'Márquez'}, 'Gabriel Marquez'],
+  ['Robert "Bob" Smith', {first: 'Robert', last: 'Smith', nickname: 'Bob'}, 'Robert Smith'],
+  ['Katherine (Kate) O\'Brien', {first: 'Katherine', last: 'O\'Brien', nickname: 'Kate'}, 'Katherine O\'Brien'],
+  ['Jane Doe (she/her)', {first: 'Jane', last: 'Doe'}, 'Jane Doe'],
+  ['John Smith LION', {first: 'John', last: 'Smith'}, 'John Smith'],
+  ['John Smith (LION)', {first: 'John', last: 'Smith'}, 'John Smith'],
+  ['Jane Doe (MBA)', {first: 'Jane', last: 'Doe', credentials: ['MBA']}, 'Jane Doe'],
+  ['Doe, Jane', {first: 'Jane', last: 'Doe'}, 'Jane Doe'],
+  ['van der Berg, Anna', {first: 'Anna', last: 'van der Berg'}, 'Anna van der Berg'],
+  ['Jane Doe | Growth Marketing', {first: 'Jane', last: 'Doe'}, 'Jane Doe'],
+  ['Jane Doe 🚀', {first: 'Jane', last: 'Doe'}, 'Jane Doe'],
+  ['Madonna', {first: 'Madonna'}, 'Madonna']
+];
+
+describe('parseName', () => {
+  NAMES.forEach(([input, parts]) => {
+    it(input, () => {
+      assert.deepEqual(parseName(input), Object.assign({}, EMPTY_NAME, parts));
+    });
+  });
+
+  it('keeps a multi word last name field whole', () => {
+    assert.deepEqual(parseName('Gabriel', 'García Márquez'), Object.assign({}, EMPTY_NAME, {first: 'Gabriel', last: 'García Márquez'}));
+  });
+
+  it('reads the last two words as the surname with compoundSurname', () => {
+    assert.deepEqual(
+      parseName('Gabriel García Márquez', {compoundSurname: true}),
+      Object.assign({}, EMPTY_NAME, {first: 'Gabriel', last: 'García Márquez'})
+    );
+  });
+
+  it('falls back to the full name mode when the last name field is empty', () => {
+    assert.deepEqual(parseName('Jane Doe', ''), Object.assign({}, EMPTY_NAME, {first: 'Jane', last: 'Doe'}));
+  });
+});
+
+describe('scrubName', () => {
+  NAMES.forEach(([input, , scrubbed]) => {
+    it(input, () => {
+      assert.equal(scrubName(input), scrubbed);
+    });
+  });
+
+  it('throws on an empty name', () => {
+    assert.throws(() => scrubName(''), /Name cannot be empty/);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Parses every kind of LinkedIn link into {type, id, urn}, and builds the
+ * canonical url of an urn back:
+ *
+ *   parseLinkedInUrl('https://fr.linkedin.com/company/1441/?trk=x')
+ *   // {type: 'company', id: '1441', urn: 'urn:li:company:1441'}
+ *   buildLinkedInUrl('urn:li:fs_normalized_company:1441')
+ *   // 'https://www.linkedin.com/company/1441/'
+ *
+ * Types: profile, company, showcase, school, job, post, salesLead,
+ * salesAccount and recruiterProfile.
+ */
+
+const LINKEDIN_URL = 'https://www.linkedin.com';
+
+// Urn entity types of every type, the first one is used when building urns.
+const URN_TYPES = {
+  profile: ['fs_miniProfile', 'fsd_profile', 'fs_profile', 'member'],
+  company: ['company', 'fs_normalized_company', 'fs_miniCompany', 'fsd_company', 'organization'],
+  school: ['school', 'fs_normalized_school', 'fs_miniSchool', 'fsd_school'],
+  job: ['jobPosting', 'fs_normalized_jobPosting', 'fsd_jobPosting'],
+  post: ['activity', 'share', 'ugcPost'],
+  salesLead: ['fs_salesProfile'],
+  salesAccount: ['fs_salesCompany'],
+  recruiterProfile: ['ts_profile']
+};
+
+/**
+ * @param  {String} url any LinkedIn url, with or without protocol, locale
+ *                      subdomain, query string or trailing path.
+ * @return {Object} {type, id, urn} urn is null when the url does not carry
+ *                  a numeric or member id (public identifiers, universal
+ *                  names). null if url is not a LinkedIn entity url.
+ */
+export function parseLinkedInUrl(url) {
+  const matches = String(url || '').trim().match(/^(?:https?:\/\/)?([^\/?#]+)([^?#]*)(?:\?([^#]*))?/i);
+  if (!matches || !/(^|\.)linkedin\.com$/i.test(matches[1])) {
+    return null;
+  }
+
+  const segments = matches[2].split('/').filter(segment => !!segment).map(safeDecode);
+  const query = matches[3] || '';
+  const section = (segments[0] || '').toLowerCase();
+  const value = segments[1] || '';
+
+  switch (section) {
+    case 'in':
+      return value ? toResult('profile', value) : null;
+    case 'pub':
+      // legacy /pub/name/c/b/a/ urls, the identifier is name-abc.
+      return value ? toResult('profile', `${value}-${segments.slice(2).reverse().join('')}`) : null;
+    case 'profile':
+      return getQueryParam(query, 'id') ? toResult('profile', getQueryParam(query, 'id')) : null;
+    case 'company':
+    case 'company-beta':
+      return value ? toResult('company', value) : null;
+    case 'showcase':
+      return value ? toResult('showcase', value) : null;
+    case 'school':
+      return value ? toResult('school', value) : null;
+    case 'edu':
+      return getQueryParam(query, 'id') ? toResult('school', getQueryParam(query, 'id')) : null;
+    case 'jobs':
+      return parseJobUrl(segments, query);
+    case 'posts':
+    case 'feed':
+      return parsePostUrl(segments);
+    case 'sales':
+      return parseSalesUrl(segments);
+    case 'talent':
+    case 'recruiter':
+      return (segments[1] === 'profile' && segments[2]) ? toResult('recruiterProfile', segments[2].split(',')[0]) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param  {String} urn any urn of URN_TYPES.
+ * @return {Object} {type, id, urn}, null if the urn is not supported.
+ */
+export function parseLinkedInUrn(urn) {
+  const matches = String(urn || '').match(/^urn:li:([^:]+):(.+)$/);
+  if (!matches) {
+    return null;
+  }
+
+  const type = Object.keys(URN_TYPES).filter(key => URN_TYPES[key].indexOf(matches[1]) !== -1)[0];
+  if (!type) {
+    return null;
+  }
+
+  // sales profile urns are tuples, (id,authType,authToken), urls take them as is.
+  return {type, id: matches[2].replace(/^\((.*)\)$/, '$1'), urn};
+}
+
+/**
+ * Builds the canonical url of an entity.
+ * @param  {String|Object} urnOrEntity urn, or {type, id} as returned by parseLinkedInUrl.
+ * @return {String} empty if the entity is not supported.
+ */
+export function buildLinkedInUrl(urnOrEntity) {
+  const entity = (urnOrEntity && typeof urnOrEntity === 'object') ? urnOrEntity : parseLinkedInUrn(urnOrEntity);
+  if (!entity || !entity.id) {
+    return '';
+  }
+
+  const id = encodeURIComponent(entity.id).replace(/%2C/g, ',');
+  switch (entity.type) {
+    case 'profile':
+      return /^\d+$/.test(entity.id) ? `${LINKEDIN_URL}/profile/view?id=${id}` : `${LINKEDIN_URL}/in/${id}/`;
+    case 'company':
+      return `${LINKEDIN_URL}/company/${id}/`;
+    case 'showcase':
+      return `${LINKEDIN_URL}/showcase/${id}/`;
+    case 'school':
+      return `${LINKEDIN_URL}/school/${id}/`;
+    case 'job':
+      return `${LINKEDIN_URL}/jobs/view/${id}/`;
+    case 'post':
+      return `${LINKEDIN_URL}/feed/update/urn:li:${getPostUrnType(entity)}:${id}/`;
+    case 'salesLead':
+      return `${LINKEDIN_URL}/sales/lead/${id}`;
+    case 'salesAccount':
+      return `${LINKEDIN_URL}/sales/company/${id}`;
+    case 'recruiterProfile':
+      return `${LINKEDIN_URL}/talent/profile/${id}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * /jobs/view/123/, /jobs/view/engineer-at-acme-123/ and search or
+ * collection urls with currentJobId.
+ * @param  {String[]} segments
+ * @param  {String} query
+ * @return {Object}
+ */
+function parseJobUrl(segments, query) {
+  const currentJobId = getQueryParam(query, 'currentJobId');
+  if (segments[1] === 'view' && segments[2]) {
+    const idMatches = segments[2].match(/(\d+)$/);
+    return idMatches ? toResult('job', idMatches[1]) : null;
+  }
+  return currentJobId ? toResult('job', currentJobId) : null;
+}
+
+/**
+ * /posts/jane-doe_title-activity-123-AbCd/ and /feed/update/urn:li:activity:123/
+ * @param  {String[]} segments
+ * @return {Object}
+ */
+function parsePostUrl(segments) {
+  if (segments[0] === 'posts') {
+    const matches = (segments[1] || '').match(/-(activity|share|ugcPost)-(\d+)/);
+    return matches ? toResult('post', matches[2], matches[1]) : null;
+  }
+
+  const urn = parseLinkedInUrn(segments[0] === 'feed' && segments[1] === 'update' ? segments[2] : '');
+  return (urn && urn.type === 'post') ? toResult('post', urn.id, segments[2].split(':')[2]) : null;
+}
+
+/**
+ * /sales/lead/ACwAA...,NAME_SEARCH,xyz, /sales/people/... and /sales/company/123
+ * @param  {String[]} segments
+ * @return {Object}
+ */
+function parseSalesUrl(segments) {
+  const value = segments[2] || '';
+  if (!value) {
+    return null;
+  }
+
+  switch (segments[1]) {
+    case 'lead':
+    case 'people':
+    case 'profile':
+      return toResult('salesLead', value);
+    case 'company':
+    case 'account':
+    case 'accounts':
+      return toResult('salesAccount', value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param  {String} type
+ * @param  {String} id
+ * @param  {String} urnType optional, entity type of the urn.
+ * @return {Object} {type, id, urn}
+ */
+function toResult(type, id, urnType) {
+  return {type, id, urn: buildUrn(type, id, urnType)};
+}
+
+/**
+ * Only ids urns are built from: numbers, member ids (ACoAA...) and the
+ * sales and recruiter ids. Public identifiers and universal names are not.
+ * @param  {String} type
+ * @param  {String} id
+ * @param  {String} urnType
+ * @return {String} null if there is no urn for id.
+ */
+function buildUrn(type, id, urnType) {
+  switch (type) {
+    case 'profile':
+      if (/^\d+$/.test(id)) {
+        return `urn:li:member:${id}`;
+      }
+      return /^AC[a-zA-Z0-9_-]{20,}$/.test(id) ? `urn:li:fs_miniProfile:${id}` : null;
+    case 'company':
+    case 'showcase':
+    case 'salesAccount':
+      if (!/^\d+$/.test(id)) {
+        return null;
+      }
+      return type === 'salesAccount' ? `urn:li:fs_salesCompany:${id}` : `urn:li:company:${id}`;
+    case 'school':
+    case 'job':
+      return /^\d+$/.test(id) ? `urn:li:${URN_TYPES[type][0]}:${id}` : null;
+    case 'post':
+      return `urn:li:${urnType || 'activity'}:${id}`;
+    case 'salesLead':
+      return id.indexOf(',') !== -1 ? `urn:li:fs_salesProfile:(${id})` : `urn:li:fs_salesProfile:${id}`;
+    case 'recruiterProfile':
+      return `urn:li:ts_profile:${id}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param  {Object} entity {type: 'post', id, urn}
+ * @return {String} activity, share or ugcPost.
+ */
+function getPostUrnType(entity) {
+  const matches = String(entity.urn || '').match(/^urn:li:(activity|share|ugcPost):/);
+  return matches ? matches[1] : 'activity';
+}
+
+/**
+ * @param  {String} query query string without the ?
+ * @param  {String} name
+ * @return {String} empty if missing.
+ */
+function getQueryParam(query, name) {
+  const pair = query.split('&').filter(p => p.split('=')[0] === name)[0];
+  return pair ? safeDecode(pair.substring(name.length + 1)) : '';
+}
+
+/**
+ * @param  {String} value
+ * @return {String} value itself if it is not valid percent encoding.
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
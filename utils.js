@@ -1,3 +1,6 @@
+import {parseLinkedInUrl} from './urls.js';
+import {parseDomain} from './domains.js';
+
 /**
  * Determines if the user is logged in based on the contents of localStorage.token
  * @return {Boolean} true if user is logged in. false otherwise.
@@ -6,49 +9,233 @@ export function isUserLoggedIn() {
   return localStorage['token'] && localStorage['token'].indexOf('JWT') === 0;
 }
 
+// Lists the name parser matches against, lower case and without dots.
+const NAME_PREFIXES = [
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'sir', 'dame', 'lord', 'lady', 'rev',
+  'reverend', 'fr', 'hon', 'capt', 'col', 'gen', 'lt', 'sgt', 'maj', 'ing', 'atty'
+];
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', '2nd', '3rd', 'esq'];
+const SURNAME_PARTICLES = [
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'dei', 'degli', 'di', 'da', 'das', 'dos', 'du', 'la',
+  'le', 'les', 'lo', 'st', 'ter', 'ten', 'bin', 'binti', 'ibn', 'al', 'el', 'af', 'zu'
+];
+// Spanish and Portuguese join both surnames with these (Ortega y Gasset).
+const SURNAME_CONNECTORS = ['y', 'e', 'i'];
+// Credentials recognized without a comma before them, as written but without dots.
+const CREDENTIALS = [
+  'PhD', 'MD', 'DO', 'DDS', 'DVM', 'PharmD', 'PsyD', 'EdD', 'JD', 'LLM', 'LLB', 'MBA', 'MPA', 'MPH', 'MSc',
+  'MS', 'MA', 'MEng', 'BSc', 'BS', 'BA', 'BEng', 'RN', 'NP', 'PA', 'PE', 'PEng', 'CEng', 'CPA', 'CFA',
+  'CFP', 'CMA', 'ACCA', 'CIMA', 'FCA', 'ACA', 'PMP', 'CSM', 'CISSP', 'CISA', 'CISM', 'SPHR', 'PHR',
+  'SHRM-CP', 'SHRM-SCP', 'FRCS', 'MRCP'
+];
+
 /**
- * Replaces diacritics from names and removes special characters like emojis
- * for email pattern generation.
- * @param  {String} str
- * @return {String} scrubbedName
+ * Parses a person name. Pass the full name, or the first and last name
+ * fields of a profile, which keeps multi word surnames whole. Prefixes,
+ * suffixes, credentials, nicknames, pronouns, LION and taglines are split
+ * out, see test/utils.test.js for the cases covered.
+ * @param  {String} fullName  full name, or the first name if lastName is given.
+ * @param  {String} lastName  optional, last name field.
+ * @param  {Object} options   {compoundSurname} to read the last two words of
+ *                            a full name as the surname, as in Spanish names.
+ * @return {Object} {prefix, first, middle, last, suffix, credentials, nickname}
+ *                  credentials is an Array, everything else a String.
  */
-export function scrubName(dirtyName) {
-  if (!dirtyName) {
-    throw new Error('Name cannot be empty');
+export function parseName(fullName, lastName, options = {}) {
+  if (lastName && lastName.constructor === Object) {
+    options = lastName;
+    lastName = undefined;
+  }
+
+  const name = {prefix: '', first: '', middle: '', last: '', suffix: '', credentials: [], nickname: ''};
+  const suffixes = [];
+  let tokens;
+  let lastTokens = null;
+
+  if (lastName && typeof lastName === 'string') {
+    tokens = extractNameTokens(fullName, name, suffixes, false).tokens;
+    lastTokens = extractNameTokens(lastName, name, suffixes, false).tokens;
+    if (lastTokens.length === 0) {
+      lastTokens = null;
+    }
+  } else {
+    const extracted = extractNameTokens(fullName, name, suffixes, true);
+    tokens = extracted.tokens;
+    lastTokens = extracted.lastTokens;
   }
 
-  let str = replaceDiacritics(dirtyName);
-  str = removeEmojis(str);
+  while (tokens.length > 1 && NAME_PREFIXES.indexOf(normalizeNameToken(tokens[0])) !== -1) {
+    name.prefix = name.prefix ? `${name.prefix} ${tokens.shift()}` : tokens.shift();
+  }
+
+  if (lastTokens) {
+    name.first = tokens[0] || '';
+    name.middle = tokens.slice(1).join(' ');
+    name.last = lastTokens.join(' ');
+  } else if (tokens.length > 0) {
+    const lastStart = findSurnameStart(tokens, options);
+    name.first = tokens[0];
+    name.middle = tokens.slice(1, lastStart).join(' ');
+    name.last = tokens.slice(lastStart).join(' ');
+  }
 
-  let words = str.split(' ');
-  let first = words[0];
-  let last = '';
-  let name = '';
+  name.suffix = suffixes.join(' ');
+  return name;
+}
 
-  if (words.length >= 3) {
-    // If there is a middle initial, assume last word is last name.
-    if (words[words.length - 1].trim() === 'LION' ||
-    words[words.length - 1].trim() === '(LION)') {
-      // LION stands for LinkedIn Open Connecter. It is not a last name when it's all caps.
-      words.pop();
+/**
+ * Splits a name in tokens, taking out what is not part of the name itself:
+ * emojis, taglines, LION, pronouns, nicknames, suffixes and credentials.
+ * @param  {String} value
+ * @param  {Object} name        parsed name, gets nickname and credentials.
+ * @param  {String[]} suffixes  gets the suffixes found.
+ * @param  {Boolean} allowInverted reads "Doe, Jane" as Jane Doe.
+ * @return {Object} {tokens, lastTokens} lastTokens is null unless the name was inverted.
+ */
+function extractNameTokens(value, name, suffixes, allowInverted) {
+  let str = removeEmojis(String(value || ''))
+  .split(/\s[|•·]\s/)[0]
+  .replace(/\s+/g, ' ');
+
+  // (Kate), [LION], (she/her), (MBA)
+  str = str.replace(/[(\[]([^)\]]*)[)\]]/g, (match, content) => {
+    content = content.trim();
+    const words = content.split(/[\s,]+/).filter(word => !!word);
+    if (!content || content === 'LION' || /^\w+\/\w+(\/\w+)?$/.test(content)) {
+      return ' ';
+    }
+    if (words.every(isCredential)) {
+      name.credentials = name.credentials.concat(words);
+    } else if (!name.nickname) {
+      name.nickname = content;
     }
+    return ' ';
+  });
+
+  // "Bob", 'Bob', “Bob”. Apostrophes inside words (O'Brien) are left alone.
+  str = str.replace(/(^|\s)["'“‘„]([^"'“”‘’]+)["'”’](?=\s|,|$)/g, (match, space, content) => {
+    if (!name.nickname) {
+      name.nickname = content.trim();
+    }
+    return ' ';
+  });
 
-    if (words[1].length === 1 ||
-      (words[1].length === 1 && words[1].indexOf(".") !== -1) ||
-      (words[1].length === 2 && words[1].indexOf(".") !== -1)) {
-      last = words[words.length - 1];
+  const segments = str.split(',').map(segment => segment.trim()).filter(segment => !!segment);
+  let tokens = (segments[0] || '').split(' ').filter(token => !!token && token !== 'LION');
+  let lastTokens = null;
+  const segmentCredentials = [];
+
+  segments.slice(1).forEach((segment, i) => {
+    const words = segment.split(' ').filter(word => !!word && word !== 'LION');
+    if (words.every(word => isSuffix(word) || isCredential(word))) {
+      words.forEach(word => (isSuffix(word) ? suffixes.push(word) : segmentCredentials.push(word)));
+    } else if (allowInverted && i === 0 && isSurnameOnly(tokens)) {
+      lastTokens = tokens;
+      tokens = words;
     } else {
-      last = words[1];
+      segmentCredentials.push(words.join(' '));
     }
-    name = `${first} ${last}`;
-  } else if (words.length === 2) {
-    name = `${words[0]} ${words[1]}`;
-  } else {
-    name = `${words[0]}`;
+  });
+
+  // trailing suffixes and well known credentials written without a comma.
+  const trailingSuffixes = [];
+  const trailingCredentials = [];
+  const surnameTokens = lastTokens || tokens;
+  const minTokens = (lastTokens || !allowInverted) ? 1 : 2;
+  while (surnameTokens.length > minTokens) {
+    const token = surnameTokens[surnameTokens.length - 1];
+    if (isSuffix(token)) {
+      trailingSuffixes.unshift(surnameTokens.pop());
+    } else if (CREDENTIALS.indexOf(token.replace(/\./g, '')) !== -1) {
+      trailingCredentials.unshift(surnameTokens.pop());
+    } else {
+      break;
+    }
+  }
+
+  Array.prototype.push.apply(suffixes, trailingSuffixes);
+  name.credentials = name.credentials.concat(trailingCredentials, segmentCredentials);
+  return {tokens, lastTokens};
+}
+
+/**
+ * Finds where the surname starts in the tokens of a full name.
+ * @param  {String[]} tokens  without prefixes.
+ * @param  {Object} options   {compoundSurname}
+ * @return {Number} index of the first surname token.
+ */
+function findSurnameStart(tokens, options) {
+  if (tokens.length < 2) {
+    return tokens.length;
+  }
+
+  let lastStart = tokens.length - 1;
+  if (tokens.length >= 4 && SURNAME_CONNECTORS.indexOf(tokens[tokens.length - 2].toLowerCase()) !== -1) {
+    lastStart = tokens.length - 3;
+  }
+
+  while (lastStart - 1 >= 1 && SURNAME_PARTICLES.indexOf(normalizeNameToken(tokens[lastStart - 1])) !== -1) {
+    lastStart--;
+  }
+
+  if (options.compoundSurname && lastStart === tokens.length - 1 && tokens.length >= 3) {
+    lastStart--;
+  }
+  return lastStart;
+}
+
+/**
+ * "Doe, Jane" and "van der Berg, Anna" start with a surname, "Jane Doe, Scrum
+ * Master" does not.
+ * @param  {String[]} tokens before the first comma.
+ * @return {Boolean}
+ */
+function isSurnameOnly(tokens) {
+  return tokens.length > 0 && tokens.slice(0, -1).every(token => SURNAME_PARTICLES.indexOf(normalizeNameToken(token)) !== -1);
+}
+
+/**
+ * @param  {String} token
+ * @return {String} lower case, without dots.
+ */
+function normalizeNameToken(token) {
+  return token.replace(/\./g, '').toLowerCase();
+}
+
+/**
+ * @param  {String} token
+ * @return {Boolean}
+ */
+function isSuffix(token) {
+  return NAME_SUFFIXES.indexOf(normalizeNameToken(token)) !== -1;
+}
+
+/**
+ * Well known credentials, all caps abbreviations (CSPO) and dotted ones
+ * (Ph.D.) are credentials.
+ * @param  {String} token
+ * @return {Boolean}
+ */
+function isCredential(token) {
+  return CREDENTIALS.indexOf(token.replace(/\./g, '')) !== -1 ||
+    /^[A-Z][A-Z0-9&-]{1,7}$/.test(token) ||
+    /^([A-Za-z]{1,3}\.){2,4}$/.test(token);
+}
+
+/**
+ * Replaces diacritics from names and removes special characters like emojis
+ * for email pattern generation.
+ * @param  {String} dirtyName
+ * @return {String} "first last", see parseName.
+ */
+export function scrubName(dirtyName) {
+  if (!dirtyName) {
+    throw new Error('Name cannot be empty');
   }
 
-  // remove commas.
-  return name.replace(/,/g, '');
+  const name = parseName(dirtyName);
+  const scrubbed = [name.first, name.last].filter(part => !!part).join(' ');
+  return replaceDiacritics(scrubbed).replace(/,/g, '');
 }
 
 /**
@@ -292,43 +479,28 @@ export function createDOMElement(tag, attributes) {
 }
 
 /**
- * Extracts the LinkedIn handler from a profile url
- * 1. Splits the string on the "/" character
- * 2. Removes empty elements from array.
- * 3. Finds last element of array.
+ * Extracts the LinkedIn handler from a profile url, /in/ and legacy /pub/
+ * urls, see parseLinkedInUrl.
  * @param  {String} profileUrl User's LinkedIn Profile URL
- * @return {String}            User's LinkedIn handle
+ * @return {String}            User's LinkedIn handle, empty if profileUrl is not a profile url.
  */
 export function getPublicIdentifier(profileUrl) {
-  if (!profileUrl) {
-    return '';
-  }
-
-  if (profileUrl.indexOf('linkedin.com/in/') !== -1) {
-    let dirtyHandle = profileUrl.split('/in/');
-    if (dirtyHandle[1].indexOf('/') !== -1) {
-      return dirtyHandle[1].substring(0, dirtyHandle[1].indexOf('/'));
-    }
-    return dirtyHandle[1];
-  } else if (profileUrl.indexOf('linkedin.com/pub/') !== -1) {
-    let dirtyHandle = profileUrl.split('/pub/')[1] || '';
-    let dirtyIds = dirtyHandle.split('/') || [];
-    let username = dirtyIds.shift() || '';
-    return `${username}-${dirtyIds.reverse().join('')}`;
-  }
-  return '';
+  const parsed = parseLinkedInUrl(profileUrl);
+  return (parsed && parsed.type === 'profile') ? parsed.id : '';
 }
 
 /**
  * Returns active tab
- * @return {Promise} Promise with an instance of Tab
+ * @param  {Object} queryInfo optional chrome.tabs.query filter, to look for
+ *                            another tab than the active one of the window.
+ * @return {Promise} Promise with an instance of Tab, undefined if no tab matches.
  */
 export function getActiveTab(queryInfo) {
   return new Promise((resolve, reject) => {
-    chrome.tabs.query({currentWindow: true, active : true}, (tabs) => {
+    chrome.tabs.query(queryInfo || {currentWindow: true, active : true}, (tabs) => {
       if (!Array.isArray(tabs)) {
         console.error(tabs);
-        reject('The returned object is not an array');
+        return reject(chrome.runtime.lastError || 'The returned object is not an array');
       }
       resolve(tabs.pop());
     });
@@ -405,44 +577,76 @@ export function clearSyncStorage() {
   });
 }
 
-  /**
-   * Extracts Root Domain from URL
-   * @param  {String} companyPageUrl
-   * @return {String}
-   */
-  export function extractRootDomain(domain) {
-    if (!domain) {
-      return '';
-    }
+/**
+ * Retrieves stored key => val from local namespace.
+ * @param  {string|string[]} keys string or string array with keys to retrieve
+ * @return {Promise}
+ */
+export function getLocalStorage(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(keys, (items) => {
+      if (chrome.runtime.lastError) {
+        return reject(chrome.runtime.lastError);
+      }
+      return resolve(items);
+    });
+  });
+}
 
-    const protocolIndex = domain.indexOf('://');
-    if (protocolIndex === -1 ) {
-      return domain;
-    }
+/**
+ * Stores an object by key in chrome.storage.local
+ * @param  {Object} obj
+ * @return {Promise}
+ * @throws Details about the error which occurred.
+ */
+export function setLocalStorage(obj) {
+  if (Object.keys(obj).length === 0) {
+    return Promise.reject('Cannot store an empty object');
+  }
 
-    const parsedUrl = {};
-    parsedUrl.protocol = domain.substring(0, protocolIndex);
-
-    const remainingUrl = domain.substring(protocolIndex + 3, domain.length);
-    let domainIndex = remainingUrl.indexOf('/');
-    domainIndex = domainIndex == -1 ? remainingUrl.length : domainIndex;
-    parsedUrl.domain = remainingUrl.substring(0, domainIndex);
-    parsedUrl.path = (domainIndex == -1 || domainIndex + 1 == remainingUrl.length) ? '' : remainingUrl.substring(domainIndex + 1, remainingUrl.length);
-
-    let domainParts = parsedUrl.domain.split('.');
-    if (domainParts.length === 2) {
-      parsedUrl.subdomain = null;
-      parsedUrl.host = domainParts[0];
-      parsedUrl.tld = domainParts[1];
-    } else if (domainParts.length === 3) {
-      parsedUrl.subdomain = domainParts[0];
-      parsedUrl.host = domainParts[1];
-      parsedUrl.tld = domainParts[2];
-    } else if (domainParts.length === 4) {
-      parsedUrl.subdomain = domainParts[0];
-      parsedUrl.host = domainParts[1];
-      parsedUrl.tld = domainParts[2] + '.' + domainParts[3];
-    }
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      if (chrome.runtime.lastError) {
+        return reject(chrome.runtime.lastError);
+      }
+      return resolve(obj);
+    });
+  });
+}
 
-    return parsedUrl.parent_domain = parsedUrl.host + '.' + parsedUrl.tld;
-  }
+/**
+ * Removes key from chrome's local storage
+ * @param  {(string|string[])} key
+ * @return {Promise}
+ * @throws Details about the error which occurred.
+ */
+export function removeLocalStorage(key) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove(key, () => {
+      if (chrome.runtime.lastError) {
+        return reject(chrome.runtime.lastError);
+      }
+      return resolve();
+    });
+  });
+}
+
+/**
+ * Returns a promise that resolves after the given amount of milliseconds.
+ * @param  {Number} ms
+ * @return {Promise}
+ */
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Extracts the registrable domain of a url (www.acme.co.uk -> acme.co.uk),
+ * see parseDomain for the subdomain and suffix.
+ * @param  {String} url url or hostname, with or without scheme.
+ * @return {String} empty if url has no registrable domain.
+ */
+export function extractRootDomain(url) {
+  const parsed = parseDomain(url);
+  return parsed ? parsed.domain : '';
+}
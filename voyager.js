@@ -1,156 +1,1447 @@
-import APIClient from './base/APIClient';
+import APIClient from './base/APIClient.js';
+import Paginator from './base/Paginator.js';
+import EnrichmentJob from './enrichment.js';
+import SalesNavigator from './salesNavigator.js';
+import {NORMALIZED_JSON, isNormalizedResponse, denormalize} from './normalizer.js';
+import {NotFoundError, PartialProfileError, ValidationError} from './base/errors.js';
+import {validate} from './schemas.js';
+import {formatDate, normalizeTimePeriod, getCurrentPosition, getExperience} from './dates.js';
 import {getPublicIdentifier, extractRootDomain} from './utils.js';
+import {parseLinkedInUrl, parseLinkedInUrn} from './urls.js';
 
 const BASE_URL = 'https://www.linkedin.com/voyager/api';
 const LI_CDN = 'https://media-exp2.licdn.com/media';
 
+// How long each resource is cached, in milliseconds. Resources missing here
+// (search, messaging, invitations...) are never cached.
+const DEFAULT_CACHE_TTL = {
+  profileView: 60 * 60 * 1000,
+  profileContactInfo: 60 * 60 * 1000,
+  highlights: 60 * 60 * 1000,
+  certifications: 60 * 60 * 1000,
+  volunteerExperiences: 60 * 60 * 1000,
+  honors: 60 * 60 * 1000,
+  courses: 60 * 60 * 1000,
+  testScores: 60 * 60 * 1000,
+  organizations: 60 * 60 * 1000,
+  recommendations: 60 * 60 * 1000,
+  featuredSkills: 60 * 60 * 1000,
+  networkinfo: 15 * 60 * 1000,
+  company: 24 * 60 * 60 * 1000,
+  companies: 24 * 60 * 60 * 1000,
+  school: 24 * 60 * 60 * 1000,
+  salesLead: 60 * 60 * 1000
+};
+
+// Sections getFullProfile can load on top of profileView: the profile
+// resource each one is fetched from, its query and the view of the raw
+// profile it fills. profileView embeds the first few entries of some of these
+// views, their resource returns them all.
+const PROFILE_SECTIONS = {
+  contactInfo: {resource: 'profileContactInfo'},
+  highlights: {resource: 'highlights'},
+  certifications: {resource: 'certifications', view: 'certificationView', query: 'count=100'},
+  volunteerExperiences: {resource: 'volunteerExperiences', view: 'volunteerExperienceView', query: 'count=100'},
+  honors: {resource: 'honors', view: 'honorView', query: 'count=100'},
+  courses: {resource: 'courses', view: 'courseView', query: 'count=100'},
+  testScores: {resource: 'testScores', view: 'testScoreView', query: 'count=100'},
+  organizations: {resource: 'organizations', view: 'organizationView', query: 'count=100'},
+  recommendations: {resource: 'recommendations', view: 'recommendationView', query: 'q=received&recommendationStatuses=List(VISIBLE)'},
+  skillEndorsements: {resource: 'featuredSkills', view: 'featuredSkillView', query: 'includeHiddenEndorsers=false&count=100'}
+};
+const DEFAULT_PROFILE_SECTIONS = ['contactInfo', 'highlights'];
+
+// People search has no seniority facet, so seniority is matched on titles.
+const SENIORITY_KEYWORDS = {
+  entry: ['intern', 'junior', 'jr', 'trainee', 'assistant', 'associate'],
+  senior: ['senior', 'sr', 'lead', 'principal', 'staff'],
+  manager: ['manager', 'head'],
+  director: ['director'],
+  vp: ['vp', 'vice president', 'vice-president', 'svp', 'evp'],
+  cxo: ['chief', 'ceo', 'cto', 'cfo', 'coo', 'cmo', 'cio', 'cso'],
+  owner: ['owner', 'founder', 'co-founder', 'partner', 'president']
+};
+
+// Longest keywords first: a keyword matched is taken out of the title, so
+// "vice president" is not also read as "president".
+const SENIORITY_MATCHERS = Object.keys(SENIORITY_KEYWORDS)
+.reduce((matchers, level) => matchers.concat(SENIORITY_KEYWORDS[level].map(keyword => ({level, keyword}))), [])
+.sort((a, b) => b.keyword.length - a.keyword.length);
+
 export default class Voyager extends APIClient {
-  constructor(csrfToken) {
-    super();
-    this.csrfToken = csrfToken;
+  /**
+   * In the browser pass the csrf token. In Node pass the options only, with
+   * a fetch implementation and a session holding the li_at and JSESSIONID
+   * cookies, the csrf token is then read from the session.
+   * Pass options.normalized to request the normalized format from the API,
+   * see normalizer.js.
+   * Profiles and companies are cached in memory by default. options.cache
+   * takes {store, ttl} to change where and for how long, see ResponseCache
+   * and DEFAULT_CACHE_TTL, or false to turn caching off.
+   * options.validate checks profiles and companies against schemas.js:
+   * 'report' passes the violations to options.onSchemaViolation, a no-op
+   * unless given, and 'strict' rejects with a ValidationError.
+   * The Sales Navigator API is reached through voyager.salesNavigator, see
+   * SalesNavigator.
+   * @param  {String} csrfToken
+   * @param  {Object} options   normalized, validate, onSchemaViolation, fetch, session, retry, rate limit and concurrency settings, see APIClient.
+   */
+  constructor(csrfToken, options) {
+    if (csrfToken && csrfToken.constructor === Object) {
+      options = csrfToken;
+      csrfToken = '';
+    }
+
+    options = options || {};
+    if (options.cache !== false) {
+      const cache = Object.assign({}, options.cache);
+      cache.ttl = Object.assign({}, DEFAULT_CACHE_TTL, cache.ttl);
+      options = Object.assign({}, options, {cache});
+    }
+
+    super(options);
+    this.csrfToken = csrfToken || '';
+    this.normalized = !!(options && options.normalized);
+    this.validation = options.validate || false;
+    this.onSchemaViolation = options.onSchemaViolation || (() => {});
+    this.salesNavigator = new SalesNavigator(this);
+  }
+
+  /**
+   * Checks a scrubbed entity against its schema when validation is on.
+   * @param  {Object} entity
+   * @param  {String} schemaName SocialProfile or Company.
+   * @return {Object} entity
+   */
+  _validate(entity, schemaName) {
+    if (!this.validation) {
+      return entity;
+    }
+
+    const violations = validate(entity, schemaName);
+    if (violations.length === 0) {
+      return entity;
+    }
+
+    if (this.validation === 'strict') {
+      throw new ValidationError(`${schemaName} does not match its schema: ${violations[0].path} ${violations[0].message}`, {
+        resource: schemaName,
+        violations,
+        entity
+      });
+    }
+
+    this.onSchemaViolation(violations, schemaName, entity);
+    return entity;
+  }
+
+  /**
+   * Sends a request through APIClient. Normalized responses, requested or
+   * not, are resolved into the nested shape the scrubbers read.
+   * @param  {String} url
+   * @param  {Object} requestOptions
+   * @return {Promise}
+   */
+  _sendRequest(url, requestOptions) {
+    const isVoyagerRequest = url.indexOf(BASE_URL) === 0 && !requestOptions.raw;
+    if (this.normalized && isVoyagerRequest && requestOptions.headers) {
+      requestOptions.headers.accept = NORMALIZED_JSON;
+    }
+
+    return super._sendRequest(url, requestOptions)
+    .then(body => ((isVoyagerRequest && isNormalizedResponse(body)) ? denormalize(body) : body));
+  }
+
+  /**
+   * Gets the full profile of a Sales Navigator lead. Leads with a public
+   * profile resolve like getFullProfile, the others with what Sales
+   * Navigator knows of them, see SalesNavigator.getLead.
+   * @param  {String} salesNavProfileURL lead url or sales profile urn.
+   * @return {Promise}
+   */
+  scrapeSalesNavFullProfile(salesNavProfileURL) {
+    return this.salesNavigator.getLead(salesNavProfileURL)
+    .then(lead => (lead.publicIdentifier ? this.getFullProfile(lead.publicIdentifier) : lead));
+  }
+
+  /**
+   * Gets the full profile information.
+   * profileView is always fetched, options.sections picks the other sections,
+   * one request each: contactInfo, highlights, certifications,
+   * volunteerExperiences, honors, courses, testScores, organizations,
+   * recommendations and skillEndorsements. Takes one name, an array of them
+   * or 'all', defaults to contactInfo and highlights. The profile has every
+   * field either way, sections left out hold what profileView embeds of
+   * them, if anything. Unknown sections throw.
+   * By default a failed profileView rejects with its error and the other
+   * resources are left out if they fail. With options.strict any failed
+   * resource rejects with a PartialProfileError. With options.partial the
+   * profile always resolves and lists the resources that failed in
+   * failedResources. options.fresh skips the cache.
+   * @param  {String} publicIdentifier LinkedIn public identifier
+   * @param  {Object} options          {sections, strict, partial, fresh}
+   * @return {Promise}
+   */
+  getFullProfile(publicIdentifier, options = {}) {
+    if (!publicIdentifier) {
+      throw new Error('a public identifier is required');
+    }
+
+    let sections = options.sections || DEFAULT_PROFILE_SECTIONS;
+    if (sections === 'all') {
+      sections = Object.keys(PROFILE_SECTIONS);
+    } else if (!Array.isArray(sections)) {
+      sections = [sections];
+    }
+    sections.forEach((section) => {
+      if (!PROFILE_SECTIONS.hasOwnProperty(section)) {
+        throw new Error(`unknown profile section ${section}`);
+      }
+    });
+
+    let requests = [{resource: 'profileView'}].concat(sections.map(section => PROFILE_SECTIONS[section]));
+    let failures = [];
+    return Promise.all(requests.map((request) => {
+      return this._fetchProfileResource(publicIdentifier, request.resource, {fresh: options.fresh, query: request.query})
+      .catch((err) => {
+        failures.push(err);
+        return null;
+      });
+    }))
+    .then((responses) => {
+      let fullProfile = {publicIdentifier};
+      // sections with a view replace the one profileView embeds, so they go last.
+      responses.forEach((res, i) => {
+        if (res && !requests[i].view) {
+          Object.assign(fullProfile, res);
+        }
+      });
+      responses.forEach((res, i) => {
+        if (res && requests[i].view) {
+          fullProfile[requests[i].view] = res;
+        }
+      });
+
+      let profileViewError = failures.filter(err => err.resource === 'profileView')[0];
+      if (profileViewError && !options.strict && !options.partial) {
+        throw profileViewError;
+      }
+
+      let socialProfile = this._scrubFullProfileResponse(fullProfile);
+      if (failures.length > 0 && options.strict) {
+        throw new PartialProfileError(`could not fetch ${failures.map(err => err.resource).join(', ')}`, {
+          resource: 'fullProfile',
+          failures,
+          profile: profileViewError ? null : socialProfile
+        });
+      }
+
+      if (options.partial) {
+        socialProfile.failedResources = failures.map(err => err.resource);
+      }
+      return Promise.resolve(this._validate(socialProfile, 'SocialProfile'));
+    });
+  }
+
+  /**
+   * Fetches the full profile of many urls or public identifiers, see
+   * EnrichmentJob for the options, events and summary.
+   * @param  {String[]} urlsOrIdentifiers
+   * @param  {Object} options           {concurrency, profileOptions, stopOnAuthError}
+   * @return {EnrichmentJob}
+   */
+  enrichProfiles(urlsOrIdentifiers, options) {
+    return new EnrichmentJob(this, urlsOrIdentifiers, options);
+  }
+
+  /**
+   * Retrieves company information from LinkedIn API.
+   * @param  {Integer|String} company LinkedIn's company id, company urn
+   *                                  (urn:li:fs_normalized_company:1441),
+   *                                  universal name or company page url.
+   * @param  {Object} options         {fresh} to skip the cache.
+   * @return {Promise} rejects with NotFoundError if there is no such company.
+   */
+  getCompany(company, options = {}) {
+    const identifier = this._parseCompanyIdentifier(company);
+    if (!identifier) {
+      return Promise.reject(new Error('a company id, urn, universal name or url is required'));
+    }
+
+    const requestOptions = {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      resource: 'company',
+      fresh: !!options.fresh
+    };
+
+    if (identifier.id) {
+      return this._sendRequest(`${BASE_URL}/organization/companies/${identifier.id}`, requestOptions)
+      .then(res => Promise.resolve(this._validate(this._scrubCompanyResponse(res), 'Company')));
+    }
+
+    const url = `${BASE_URL}/organization/companies?q=universalName&universalName=${encodeURIComponent(identifier.universalName)}`;
+    return this._sendRequest(url, requestOptions)
+    .then((res) => {
+      if (!res.elements || res.elements.length === 0) {
+        throw new NotFoundError(`company ${identifier.universalName} not found`, {status: 404, url, resource: 'company'});
+      }
+      return Promise.resolve(this._validate(this._scrubCompanyResponse(res.elements[0]), 'Company'));
+    });
+  }
+
+  /**
+   * Retrieves several companies at once, numeric ids are fetched with a
+   * single batch request per 20 ids. Accepts the same identifiers as
+   * getCompany, so the linkedInCompanyId of a profile's positions can be
+   * passed as is.
+   * @param  {Array} companies
+   * @param  {Object} options   {fresh} to skip the cache.
+   * @return {Promise} resolves an Array in the order of companies, with null
+   *                   for the companies that could not be found.
+   */
+  getCompanies(companies, options = {}) {
+    const identifiers = (companies || []).map(company => this._parseCompanyIdentifier(company));
+    const ids = identifiers
+    .filter(identifier => identifier && identifier.id)
+    .map(identifier => identifier.id)
+    .filter((id, i, all) => all.indexOf(id) === i);
+    const universalNames = identifiers
+    .filter(identifier => identifier && identifier.universalName)
+    .map(identifier => identifier.universalName)
+    .filter((name, i, all) => all.indexOf(name) === i);
+
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += 20) {
+      chunks.push(ids.slice(i, i + 20));
+    }
+
+    const byId = {};
+    const byUniversalName = {};
+    return Promise.all([
+      Promise.all(chunks.map((chunk) => {
+        return this._fetchCompaniesBatch(chunk, options)
+        .then(results => Object.assign(byId, results));
+      })),
+      Promise.all(universalNames.map((universalName) => {
+        return this.getCompany({universalName}, options)
+        .catch((err) => {
+          if (err instanceof NotFoundError) {
+            return null;
+          }
+          throw err;
+        })
+        .then((company) => {
+          byUniversalName[universalName] = company;
+        });
+      }))
+    ])
+    .then(() => {
+      return identifiers.map((identifier) => {
+        if (!identifier) {
+          return null;
+        }
+        return (identifier.id ? byId[identifier.id] : byUniversalName[identifier.universalName]) || null;
+      });
+    });
+  }
+
+  /**
+   * Fetches companies by id with a Rest.li batch get.
+   * @param  {Integer[]} ids
+   * @param  {Object} options {fresh}
+   * @return {Promise} resolves the scrubbed companies keyed by id.
+   */
+  _fetchCompaniesBatch(ids, options = {}) {
+    const url = `${BASE_URL}/organization/companies?ids=List(${ids.join(',')})`;
+    return this._sendRequest(url, {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      resource: 'companies',
+      fresh: !!options.fresh
+    })
+    .then((res) => {
+      const results = res.results || {};
+      const companies = {};
+      Object.keys(results).forEach((id) => {
+        companies[id] = this._validate(this._scrubCompanyResponse(results[id]), 'Company');
+      });
+      return companies;
+    });
+  }
+
+  /**
+   * Retrieves school information from LinkedIn API.
+   * @param  {Integer|String} school LinkedIn's school id, as in the
+   *                                 linkedInSchoolId of a profile's education,
+   *                                 school urn (urn:li:fs_miniSchool:1792),
+   *                                 universal name or school page url.
+   * @param  {Object} options        {fresh} to skip the cache.
+   * @return {Promise} rejects with NotFoundError if there is no such school.
+   */
+  getSchool(school, options = {}) {
+    const identifier = this._parseSchoolIdentifier(school);
+    if (!identifier) {
+      return Promise.reject(new Error('a school id, urn, universal name or url is required'));
+    }
+
+    const requestOptions = {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      resource: 'school',
+      fresh: !!options.fresh
+    };
+
+    if (identifier.id) {
+      return this._sendRequest(`${BASE_URL}/organization/schools/${identifier.id}`, requestOptions)
+      .then(res => Promise.resolve(this._validate(this._scrubSchoolResponse(res), 'School')));
+    }
+
+    const url = `${BASE_URL}/organization/schools?q=universalName&universalName=${encodeURIComponent(identifier.universalName)}`;
+    return this._sendRequest(url, requestOptions)
+    .then((res) => {
+      if (!res.elements || res.elements.length === 0) {
+        throw new NotFoundError(`school ${identifier.universalName} not found`, {status: 404, url, resource: 'school'});
+      }
+      return Promise.resolve(this._validate(this._scrubSchoolResponse(res.elements[0]), 'School'));
+    });
+  }
+
+  /**
+   * Works out how a company was identified.
+   * @param  {Integer|String|Object} company id, urn, universal name, company
+   *                                         page url or an already parsed identifier.
+   * @return {Object} {id} or {universalName}, null if company is empty.
+   */
+  _parseCompanyIdentifier(company) {
+    return this._parseOrganizationIdentifier(company, ['company', 'showcase', 'salesAccount']);
+  }
+
+  /**
+   * Works out how a school was identified.
+   * @param  {Integer|String|Object} school id, urn, universal name, school
+   *                                        page url or an already parsed identifier.
+   * @return {Object} {id} or {universalName}, null if school is empty.
+   */
+  _parseSchoolIdentifier(school) {
+    return this._parseOrganizationIdentifier(school, ['school']);
+  }
+
+  /**
+   * @param  {Integer|String|Object} organization
+   * @param  {String[]} types                    parseLinkedInUrl types the urn or url may have.
+   * @return {Object} {id} or {universalName}, null if organization is empty
+   *                  or an urn or url of another type.
+   */
+  _parseOrganizationIdentifier(organization, types) {
+    if (!organization) {
+      return null;
+    }
+
+    if (organization.constructor === Object) {
+      return (organization.id || organization.universalName) ? organization : null;
+    }
+
+    let value = String(organization).trim();
+    if (/^\d+$/.test(value)) {
+      return {id: parseInt(value, 10)};
+    }
+
+    if (value.indexOf('urn:') === 0) {
+      let urn = parseLinkedInUrn(value);
+      return (urn && types.indexOf(urn.type) !== -1 && /^\d+$/.test(urn.id)) ? {id: parseInt(urn.id, 10)} : null;
+    }
+
+    if (value.indexOf('linkedin.com/') !== -1) {
+      let parsed = parseLinkedInUrl(value);
+      let isOfType = parsed && types.indexOf(parsed.type) !== -1;
+      return isOfType ? this._parseOrganizationIdentifier(parsed.id, types) : null;
+    }
+
+    return {universalName: value};
+  }
+
+  /**
+   * Scrubs company information from LinkedIn Response.
+   * @param  {Object} companyResponse
+   * @return {Object} Object that matches the Company schema, see schemas.js.
+   */
+  _scrubCompanyResponse(companyResponse) {
+    const headquarter = companyResponse.headquarter || {};
+    const company = {source: 'LinkedIn'};
+    company.affiliatedCompanies = companyResponse.affiliatedCompanies || [];
+
+    company.pageUrl = companyResponse.companyPageUrl || '';
+    company.domain = extractRootDomain(companyResponse.companyPageUrl);
+    company.type = (companyResponse.companyType && companyResponse.companyType.localizedName) || '';
+    company.confirmedLocations = companyResponse.confirmedLocations || [];
+    company.description = companyResponse.description || '';
+    company.linkedInUrn = companyResponse.entityUrn || '';
+    company.name = companyResponse.name || '';
+    company.specialities = companyResponse.specialities || [];
+    company.universalName = companyResponse.universalName || '';
+    company.linkedInPageUrl = companyResponse.url || '';
+
+    company.parentCompanyLinkedInId = this._scrubIdFromUrn(companyResponse.parentCompany);
+    company.linkedInId = this._scrubIdFromUrn(companyResponse.entityUrn);
+    company.foundedOn = (companyResponse.foundedOn && companyResponse.foundedOn.year) || null;
+    company.industries = (companyResponse.companyIndustries || []).map(c => c.localizedName);
+
+    company.city = headquarter.city || '';
+    company.country = headquarter.country || '';
+    company.geographicArea = headquarter.geographicArea || '';
+    company.addr1 = headquarter.line1 || '';
+    company.addr2 = headquarter.line2 || '';
+    company.postalCode = headquarter.postalCode || '';
+
+    company.linkedInFollowerCount = (companyResponse.followingInfo && companyResponse.followingInfo.followerCount) || 0;
+    company.staffCount = companyResponse.staffCount || 0;
+    company.logo = '';
+    company.backgroundCoverImage = '';
+    company.backgroundCoverPhoto = '';
+
+    if (companyResponse.logo && companyResponse.logo.hasOwnProperty('image')) {
+      company.logo = this._scrubPathToResource(companyResponse.logo.image) || '';
+    }
+
+    if (companyResponse.backgroundCoverImage && companyResponse.backgroundCoverImage.hasOwnProperty('image')) {
+      company.backgroundCoverImage = this._scrubPathToResource(companyResponse.backgroundCoverImage.image) || '';
+    }
+
+    if (companyResponse.backgroundCoverPhoto) {
+      company.backgroundCoverPhoto = this._scrubPathToResource(companyResponse.backgroundCoverPhoto) || '';
+    }
+
+    return company;
+  }
+
+  /**
+   * Scrubs school information from LinkedIn Response.
+   * @param  {Object} schoolResponse
+   * @return {Object} Object that matches the School schema, see schemas.js.
+   */
+  _scrubSchoolResponse(schoolResponse) {
+    const address = schoolResponse.headquarter || schoolResponse.address || {};
+    const school = {source: 'LinkedIn'};
+    school.linkedInId = this._scrubIdFromUrn(schoolResponse.entityUrn);
+    school.linkedInUrn = schoolResponse.entityUrn || '';
+    school.name = schoolResponse.name || schoolResponse.schoolName || '';
+    school.universalName = schoolResponse.universalName || '';
+    school.linkedInPageUrl = schoolResponse.url || '';
+    school.pageUrl = schoolResponse.schoolPageUrl || schoolResponse.companyPageUrl || '';
+    school.domain = extractRootDomain(school.pageUrl);
+    school.description = schoolResponse.description || '';
+    // schoolType is an enum string in some responses, {code, localizedName} in others.
+    const schoolType = schoolResponse.schoolType;
+    school.type = typeof schoolType === 'string' ? schoolType : '';
+    if (schoolType && typeof schoolType === 'object') {
+      school.type = schoolType.localizedName || schoolType.code || '';
+    }
+
+    school.city = address.city || '';
+    school.country = address.country || '';
+    school.geographicArea = address.geographicArea || '';
+    school.addr1 = address.line1 || '';
+    school.addr2 = address.line2 || '';
+    school.postalCode = address.postalCode || '';
+
+    school.studentCount = schoolResponse.studentCount || schoolResponse.numberOfStudents || 0;
+    school.alumniCount = schoolResponse.alumniCount || schoolResponse.studentAndAlumniCount || 0;
+    school.logo = '';
+    school.backgroundCoverImage = '';
+
+    if (schoolResponse.logo && schoolResponse.logo.hasOwnProperty('image')) {
+      school.logo = this._scrubPathToResource(schoolResponse.logo.image) || '';
+    }
+
+    if (schoolResponse.backgroundCoverImage && schoolResponse.backgroundCoverImage.hasOwnProperty('image')) {
+      school.backgroundCoverImage = this._scrubPathToResource(schoolResponse.backgroundCoverImage.image) || '';
+    }
+
+    return school;
+  }
+
+  /**
+   * Searches people. Returns an async iterator over the hits:
+   *   for await (const person of voyager.searchPeople({keywords: 'cto'})) {...}
+   * Every filter but keywords takes a single value or an array.
+   * @param  {Object} query   {keywords, title, currentCompany, geo, industry, connectionDegree, connectionOf}
+   *                          currentCompany takes company ids, geo takes geo region
+   *                          codes (us:0), industry takes industry ids,
+   *                          connectionDegree takes 1, 2, 3 or F, S, O and
+   *                          connectionOf takes profile ids (ACoAA...).
+   * @param  {Object} options {start, count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  searchPeople(query = {}, options = {}) {
+    const fetchPage = (start, count) => this._fetchSearchPeoplePage(query, start, count);
+    return new Paginator(fetchPage, Object.assign({map: hit => this._scrubSearchHit(hit)}, options));
+  }
+
+  /**
+   * Fetches a page of people search hits.
+   * @param  {Object} query see searchPeople.
+   * @param  {Number} start
+   * @param  {Number} count
+   * @return {Promise}
+   */
+  _fetchSearchPeoplePage(query, start, count) {
+    const guides = this._buildListParam({
+      v: 'PEOPLE',
+      facetCurrentCompany: query.currentCompany,
+      facetGeoRegion: query.geo,
+      facetIndustry: query.industry,
+      facetNetwork: this._toNetworkFacet(query.connectionDegree),
+      facetConnectionOf: query.connectionOf,
+      title: query.title
+    });
+
+    let url = `${BASE_URL}/search/hits?q=guided&origin=FACETED_SEARCH&guides=${guides}&start=${start}&count=${count}`;
+    if (query.keywords) {
+      url += `&keywords=${encodeURIComponent(query.keywords)}`;
+    }
+
+    return this._sendRequest(url, {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      resource: 'searchPeople'
+    });
+  }
+
+  /**
+   * Lists the current employees of a company. Returns an async iterator like
+   * searchPeople, every employee also carries the position at the company.
+   * @param  {Integer|String} companyIdOrUniversalName anything getCompany takes, universal names
+   *                                                   and urls are resolved through it.
+   * @param  {Object} filters {title, keywords, seniority} seniority is one
+   *                          or more keys of SENIORITY_KEYWORDS.
+   * @param  {Object} options {start, count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  getCompanyEmployees(companyIdOrUniversalName, filters = {}, options = {}) {
+    if (!companyIdOrUniversalName) {
+      throw new Error('a company id or universal name is required');
+    }
+
+    let companyId = null;
+    const resolveCompanyId = () => {
+      if (!companyId) {
+        const identifier = this._parseCompanyIdentifier(companyIdOrUniversalName);
+        companyId = (identifier && identifier.id) ?
+          Promise.resolve(identifier.id) :
+          this.getCompany(companyIdOrUniversalName).then(company => company.linkedInId);
+      }
+      return companyId;
+    };
+
+    let resolvedCompanyId;
+    const fetchPage = (start, count) => {
+      return resolveCompanyId()
+      .then((id) => {
+        resolvedCompanyId = id;
+        const query = {keywords: filters.keywords, title: filters.title, currentCompany: id};
+        return this._fetchSearchPeoplePage(query, start, count);
+      });
+    };
+
+    const map = (hit) => {
+      const employee = this._scrubSearchHit(hit);
+      if (!employee) {
+        return null;
+      }
+
+      employee.position = this._scrubCurrentPositionSnippet(hit, resolvedCompanyId);
+      if (filters.seniority && !this._matchesSeniority(employee.position.title, filters.seniority)) {
+        return null;
+      }
+      return employee;
+    };
+
+    return new Paginator(fetchPage, Object.assign({map}, options));
+  }
+
+  /**
+   * Extracts the current position from a search hit. Hits only carry it as
+   * text ("Title at Company"), either as a "Current" snippet or as the
+   * occupation.
+   * @param  {Object} hit
+   * @param  {Integer} linkedInCompanyId
+   * @return {Object} {title, companyName, linkedInCompanyId}
+   */
+  _scrubCurrentPositionSnippet(hit, linkedInCompanyId) {
+    const searchProfile = hit.hitInfo['com.linkedin.voyager.search.SearchProfile'];
+    const snippet = (searchProfile.snippets || [])
+    .filter(s => s.heading && /^current/i.test(s.heading.text || ''))[0];
+
+    let text = (snippet && snippet.body && snippet.body.text) || searchProfile.miniProfile.occupation || '';
+    let separator = text.lastIndexOf(' at ');
+
+    return {
+      title: separator === -1 ? text : text.substring(0, separator).trim(),
+      companyName: separator === -1 ? '' : text.substring(separator + 4).trim(),
+      linkedInCompanyId: linkedInCompanyId || null
+    };
+  }
+
+  /**
+   * Checks if a title matches any of the given seniority levels.
+   * @param  {String} title
+   * @param  {String|String[]} seniority keys of SENIORITY_KEYWORDS.
+   * @return {Boolean}
+   */
+  _matchesSeniority(title, seniority) {
+    let words = (title || '').toLowerCase().replace(/[^a-z\s-]/g, ' ');
+    const levels = Array.isArray(seniority) ? seniority : [seniority];
+    const titleLevels = {};
+
+    SENIORITY_MATCHERS.forEach((matcher) => {
+      const pattern = new RegExp(`(^|\\s)${matcher.keyword}(?=\\s|$)`, 'g');
+      if (pattern.test(words)) {
+        titleLevels[matcher.level] = true;
+        words = words.replace(pattern, ' ');
+      }
+    });
+    return levels.some(level => titleLevels[level]);
+  }
+
+  /**
+   * Lists the first degree connections of the logged in member, most recent
+   * first. Returns an async iterator like searchPeople.
+   * @param  {Object} options {start, count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  getMyConnections(options = {}) {
+    const fetchPage = (start, count) => {
+      const url = `${BASE_URL}/relationships/connections?sortType=RECENTLY_ADDED&start=${start}&count=${count}`;
+      return this._sendRequest(url, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        resource: 'connections'
+      });
+    };
+
+    return new Paginator(fetchPage, Object.assign({count: 40, map: c => this._scrubConnection(c)}, options));
+  }
+
+  /**
+   * Scrubs a connection from the relationships API.
+   * @param  {Object} connection
+   * @return {Object} null if the connection has no mini profile.
+   */
+  _scrubConnection(connection) {
+    if (!connection.miniProfile) {
+      return null;
+    }
+
+    const memberInfo = this._scrubMemberInfo({member: connection.miniProfile});
+    memberInfo.entityUrn = connection.miniProfile.entityUrn || '';
+    memberInfo.connectedAt = connection.createdAt || 0;
+    return memberInfo;
+  }
+
+  /**
+   * Gets how the logged in member relates to a profile: connection degree,
+   * follower and connection counts and the connections both share.
+   * @param  {String} publicIdentifier LinkedIn public identifier
+   * @param  {Object} options          {sharedConnectionsLimit} defaults to 10.
+   * @return {Promise}
+   */
+  getNetworkInfo(publicIdentifier, options = {}) {
+    if (!publicIdentifier) {
+      throw new Error('a public identifier is required');
+    }
+
+    return this._fetchProfileResource(publicIdentifier, 'networkinfo')
+    .then((res) => {
+      const networkInfo = {
+        publicIdentifier,
+        connectionDegree: this._scrubDistance(res.distance),
+        followerCount: res.followersCount || 0,
+        connectionCount: res.connectionsCount || 0,
+        following: !!res.following,
+        sharedConnectionCount: 0,
+        sharedConnections: []
+      };
+
+      // entityUrn is urn:li:fs_profileNetworkInfo:<profile id>
+      const profileId = this._getUrnId(res.entityUrn);
+      if (!profileId || networkInfo.connectionDegree === 0) {
+        return networkInfo;
+      }
+
+      const query = {connectionOf: profileId, connectionDegree: 1};
+      return this._fetchSearchPeoplePage(query, 0, options.sharedConnectionsLimit || 10)
+      .then((page) => {
+        networkInfo.sharedConnections = (page.elements || [])
+        .map(hit => this._scrubSearchHit(hit))
+        .filter(member => !!member);
+        networkInfo.sharedConnectionCount = page.paging ? page.paging.total : networkInfo.sharedConnections.length;
+        return networkInfo;
+      });
+    });
+  }
+
+  /**
+   * Lists the recent activity of a member: posts, reposts and comments,
+   * newest first. Returns an async iterator like searchPeople.
+   * @param  {String} publicIdentifier LinkedIn public identifier or mini profile urn.
+   * @param  {Object} options          {start, count, limit} see Paginator, plus
+   *                                   types, the activity types to keep (post, repost, comment).
+   * @return {Paginator}
+   */
+  getProfileActivity(publicIdentifier, options = {}) {
+    if (!publicIdentifier) {
+      throw new Error('a public identifier is required');
+    }
+
+    let profileId = null;
+    const fetchPage = (start, count) => {
+      profileId = profileId || this._resolveProfileId(publicIdentifier);
+      return profileId
+      .then((id) => {
+        const profileUrn = encodeURIComponent(`urn:li:fsd_profile:${id}`);
+        const url = `${BASE_URL}/identity/profileUpdatesV2?q=memberShareFeed&moduleKey=member-activity&profileUrn=${profileUrn}&start=${start}&count=${count}`;
+        return this._sendRequest(url, {
+          method: 'GET',
+          credentials: 'same-origin',
+          headers: this._getRequestHeaders(),
+          resource: 'profileActivity'
+        });
+      });
+    };
+
+    const map = (update) => {
+      const activity = this._scrubActivity(update);
+      if (options.types && options.types.indexOf(activity.type) === -1) {
+        return null;
+      }
+      return activity;
+    };
+
+    return new Paginator(fetchPage, Object.assign({}, options, {map}));
+  }
+
+  /**
+   * Scrubs a feed update of the activity feed.
+   * @param  {Object} update UpdateV2, wrapped in value or not.
+   * @return {Object}
+   */
+  _scrubActivity(update) {
+    if (update.value && update.value['com.linkedin.voyager.feed.render.UpdateV2']) {
+      update = update.value['com.linkedin.voyager.feed.render.UpdateV2'];
+    }
+
+    const metadata = update.updateMetadata || {};
+    const urn = metadata.urn || update.urn || '';
+    const counts = (update.socialDetail && update.socialDetail.totalSocialActivityCounts) || {};
+    const comments = update.highlightedComments || [];
+
+    let type = 'post';
+    let text = (update.commentary && update.commentary.text && update.commentary.text.text) || '';
+    if (comments.length > 0) {
+      type = 'comment';
+      const comment = comments[0].commentV2 || comments[0].comment || {};
+      text = comment.text || (comment.values && comment.values[0] && comment.values[0].value) || '';
+    } else if (update.resharedUpdate) {
+      type = 'repost';
+    }
+
+    const reactions = {};
+    (counts.reactionTypeCounts || []).forEach((reaction) => {
+      reactions[reaction.reactionType] = reaction.count;
+    });
+
+    return {
+      type,
+      urn,
+      text,
+      createdAt: this._getTimestampFromActivityUrn(urn),
+      media: this._scrubMediaUrls(update.content).concat(update.resharedUpdate ? this._scrubMediaUrls(update.resharedUpdate.content) : []),
+      reactionCount: counts.numLikes || 0,
+      reactions,
+      commentCount: counts.numComments || 0,
+      shareCount: counts.numShares || 0
+    };
+  }
+
+  /**
+   * Activity ids are snowflake ids, the first 41 bits are the creation time
+   * in milliseconds.
+   * @param  {String} urn urn:li:activity:<id>
+   * @return {Number} 0 if the urn is not an activity urn.
+   */
+  _getTimestampFromActivityUrn(urn) {
+    const id = this._getUrnId(urn);
+    if (!/^\d+$/.test(id) || typeof BigInt === 'undefined') {
+      return 0;
+    }
+
+    return Number(BigInt(id) / BigInt(4194304));
+  }
+
+  /**
+   * Collects the urls of every image in the content of an update. Images
+   * are either media processor images, resolved like _scrubPathToResource,
+   * or vector images, resolved to their largest artifact.
+   * @param  {Object} content
+   * @return {String[]}
+   */
+  _scrubMediaUrls(content) {
+    const urls = [];
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+        return;
+      }
+
+      if (node['com.linkedin.voyager.common.MediaProcessorImage']) {
+        urls.push(this._scrubPathToResource(node));
+        return;
+      }
+
+      if (node.rootUrl && Array.isArray(node.artifacts) && node.artifacts.length > 0) {
+        const largest = node.artifacts.reduce((a, b) => ((b.width || 0) > (a.width || 0) ? b : a));
+        urls.push(`${node.rootUrl}${largest.fileIdentifyingUrlPathSegment}`);
+        return;
+      }
+
+      Object.keys(node).forEach(key => walk(node[key]));
+    };
+
+    walk(content);
+    return urls.filter((url, i) => url && urls.indexOf(url) === i);
+  }
+
+  /**
+   * Lists the conversations of the logged in member, most recent activity
+   * first. Returns an async iterator like searchPeople.
+   * @param  {Object} options {count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  getConversations(options = {}) {
+    const fetchPage = (start, count, createdBefore) => {
+      let url = `${BASE_URL}/messaging/conversations?keyVersion=LEGACY_INBOX&count=${count}`;
+      if (createdBefore) {
+        url += `&createdBefore=${createdBefore}`;
+      }
+
+      return this._sendRequest(url, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        resource: 'conversations'
+      });
+    };
+
+    return new Paginator(fetchPage, Object.assign({
+      count: 20,
+      map: c => this._scrubConversation(c),
+      cursor: page => this._getOldestTimestamp(page.elements, 'lastActivityAt')
+    }, options));
+  }
+
+  /**
+   * Lists the messages of a conversation, newest page first. Returns an
+   * async iterator like searchPeople.
+   * @param  {String} conversationId conversation id or urn.
+   * @param  {Object} options        {count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  getConversationMessages(conversationId, options = {}) {
+    if (!conversationId) {
+      throw new Error('a conversation id is required');
+    }
+
+    const id = this._getUrnId(conversationId);
+    const fetchPage = (start, count, createdBefore) => {
+      let url = `${BASE_URL}/messaging/conversations/${id}/events?count=${count}`;
+      if (createdBefore) {
+        url += `&createdBefore=${createdBefore}`;
+      }
+
+      return this._sendRequest(url, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        resource: 'conversationEvents'
+      });
+    };
+
+    return new Paginator(fetchPage, Object.assign({
+      count: 20,
+      map: e => this._scrubMessageEvent(e),
+      cursor: page => this._getOldestTimestamp(page.elements, 'createdAt')
+    }, options));
   }
 
   /**
-   * Fetches the HTML for SalesNav Full Profile and parses it.
-   * @param  {String} salesNavProfileURL
-   * @return {Promise}
+   * Sends a message to an existing conversation.
+   * @param  {String} conversationId conversation id or urn.
+   * @param  {String} text
+   * @return {Promise} resolves {success, conversationId, eventUrn, createdAt}
    */
-  scrapeSalesNavFullProfile(salesNavProfileURL) {
-    const requestOptions = {
-      method: 'GET',
+  sendMessage(conversationId, text) {
+    if (!conversationId || !text) {
+      return Promise.reject(new Error('a conversation id and a text are required'));
+    }
+
+    const id = this._getUrnId(conversationId);
+    const url = `${BASE_URL}/messaging/conversations/${id}/events?action=create`;
+    return this._sendRequest(url, {
+      method: 'POST',
       credentials: 'same-origin',
       headers: this._getRequestHeaders(),
-      raw: true
-    };
-    return this._sendRequest(salesNavProfileURL, requestOptions)
-    .then(r=> r.text())
-    .then(html => Promise.resolve(this._getPublicProfileUrlFromText(html)))
-    .then(profileURL=> fetch(profileURL, {credentials: 'same-origin'}))
-    .then(res=> res.text())
-    .then((body)=> {
-      let matches = (body).match(/\/voyager\/api\/identity\/profiles\/(.*)\//);
-      return Promise.resolve(matches[1])
+      body: {eventCreate: this._buildMessageCreate(text)},
+      resource: 'sendMessage'
     })
-    .then((publicIdentifier)=> {
-      return this.getFullProfile(publicIdentifier);
+    .then((res) => {
+      const value = res.value || {};
+      return {
+        success: true,
+        conversationId: id,
+        eventUrn: value.eventUrn || '',
+        createdAt: value.createdAt || 0
+      };
     });
   }
 
-  _getPublicProfileUrlFromText(text) {
-    let matches = text.match(/\"publicProfileUrl\":\"(.*?)\",/);
-    return decodeURIComponent(matches[1]);
-  }
-
   /**
-   * Gets the full profile information
-   * @param  {String} publicIdentifier LinkedIn public identifier
-   * @return {Promise}
+   * Starts a new conversation.
+   * @param  {String|String[]} profileUrns recipients, mini profile urns or profile ids.
+   * @param  {String} text
+   * @return {Promise} resolves {success, conversationId, eventUrn, createdAt}
    */
-  getFullProfile(publicIdentifier) {
-    if (!publicIdentifier) {
-      throw new Error('a public identifier is required');
+  createConversation(profileUrns, text) {
+    const recipients = (Array.isArray(profileUrns) ? profileUrns : [profileUrns])
+    .filter(urn => !!urn)
+    .map(urn => this._getUrnId(urn));
+
+    if (recipients.length === 0 || !text) {
+      return Promise.reject(new Error('at least one recipient and a text are required'));
     }
 
-    let resources = ['profileView', 'profileContactInfo', 'highlights']
-    return Promise.all(resources.map(resource => this._fetchProfileResource(publicIdentifier, resource)))
-    .then((responses) => {
-      let fullProfile = {publicIdentifier};
-      responses.map(res => Object.assign(fullProfile, res));
-      return Promise.resolve(this._scrubFullProfileResponse(fullProfile));
+    const url = `${BASE_URL}/messaging/conversations?action=create`;
+    return this._sendRequest(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      body: {
+        keyVersion: 'LEGACY_INBOX',
+        conversationCreate: {
+          eventCreate: this._buildMessageCreate(text),
+          recipients,
+          subtype: 'MEMBER_TO_MEMBER'
+        }
+      },
+      resource: 'createConversation'
+    })
+    .then((res) => {
+      const value = res.value || {};
+      return {
+        success: true,
+        conversationId: this._getUrnId(value.conversationUrn),
+        eventUrn: value.eventUrn || '',
+        createdAt: value.createdAt || 0
+      };
     });
   }
 
   /**
-   * Retrieves company information from LinkedIn API.
-   * @param  {Integer} companyId LinkedIn's company id
-   * @return {Promise}
+   * Marks a conversation as read.
+   * @param  {String} conversationId conversation id or urn.
+   * @return {Promise} resolves {success, conversationId}
    */
-  getCompany(companyId) {
-    const url = `${BASE_URL}/organization/companies?q=universalName&universalName=${companyId}`;
-    const requestOptions = {
-      method: 'GET',
+  markConversationAsRead(conversationId) {
+    if (!conversationId) {
+      return Promise.reject(new Error('a conversation id is required'));
+    }
+
+    const id = this._getUrnId(conversationId);
+    return this._sendRequest(`${BASE_URL}/messaging/conversations/${id}`, {
+      method: 'POST',
       credentials: 'same-origin',
-      headers: this._getRequestHeaders()
+      headers: this._getRequestHeaders(),
+      body: {patch: {$set: {read: true}}},
+      resource: 'markConversationAsRead'
+    })
+    .then(() => ({success: true, conversationId: id}));
+  }
+
+  /**
+   * Sends a connection invitation.
+   * @param  {String} publicIdentifierOrUrn public identifier or mini profile urn.
+   * @param  {String} message               optional note, at most 300 characters.
+   * @return {Promise} resolves {success, profileId}, rejects with an APIError subclass.
+   */
+  sendInvitation(publicIdentifierOrUrn, message) {
+    if (!publicIdentifierOrUrn) {
+      return Promise.reject(new Error('a public identifier or urn is required'));
+    }
+
+    if (message && message.length > 300) {
+      return Promise.reject(new Error('the invitation message cannot be longer than 300 characters'));
+    }
+
+    let profileId = '';
+    return this._toActionResult(this._resolveProfileId(publicIdentifierOrUrn)
+    .then((id) => {
+      profileId = id;
+      const invitation = {
+        trackingId: this._generateTrackingId(),
+        invitations: [],
+        excludeInvitations: [],
+        invitee: {
+          'com.linkedin.voyager.growth.invitation.InviteeProfile': {profileId}
+        }
+      };
+      if (message) {
+        invitation.message = message;
+      }
+
+      return this._sendRequest(`${BASE_URL}/growth/normInvitations`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        body: invitation,
+        resource: 'sendInvitation'
+      });
+    }), () => ({profileId}));
+  }
+
+  /**
+   * Lists the invitations the logged in member received. Returns an async
+   * iterator like searchPeople.
+   * @param  {Object} options {start, count, limit} see Paginator.
+   * @return {Paginator}
+   */
+  getReceivedInvitations(options = {}) {
+    const fetchPage = (start, count) => {
+      const url = `${BASE_URL}/relationships/invitationViews?q=receivedInvitation&start=${start}&count=${count}`;
+      return this._sendRequest(url, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        resource: 'receivedInvitations'
+      });
     };
 
-    return this._sendRequest(url, requestOptions)
-    .then((res) => {
-      return Promise.resolve(this._scrubCompanyResponse(res.elements[0]));
-    })
-    .catch((err) => {
-      return Promise.resolve({});
-    });
+    return new Paginator(fetchPage, Object.assign({map: i => this._scrubInvitation(i, 'fromMember')}, options));
   }
 
   /**
-   * Scrubs company information from LinkedIn Response.
-   * @param  {Object} companyResponse
-   * @return {Object}
+   * Lists the pending invitations the logged in member sent. Returns an async
+   * iterator like searchPeople.
+   * @param  {Object} options {start, count, limit} see Paginator.
+   * @return {Paginator}
    */
-  _scrubCompanyResponse(companyResponse) {
-    const company = {source: 'LinkedIn'};
-    company.affiliatedCompanies = companyResponse.affiliatedCompanies || [];
+  getSentInvitations(options = {}) {
+    const fetchPage = (start, count) => {
+      const url = `${BASE_URL}/relationships/sentInvitationViewsV2?q=invitationType&invitationType=CONNECTION&start=${start}&count=${count}`;
+      return this._sendRequest(url, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: this._getRequestHeaders(),
+        resource: 'sentInvitations'
+      });
+    };
 
-    company.pageUrl = companyResponse.companyPageUrl || '';
-    company.domain = extractRootDomain(companyResponse.companyPageUrl);
-    company.type = (companyResponse.hasOwnProperty('companyType')) ? companyResponse.companyType.localizedName : '';
-    company.confirmedLocations = companyResponse.confirmedLocations || [];
-    company.description = companyResponse.description;
-    company.linkedInUrn = companyResponse.entityUrn;
-    company.name = companyResponse.name;
-    company.specialities = companyResponse.specialities || [];
-    company.universalName = companyResponse.universalName;
-    company.linkedInPageUrl = companyResponse.url || '';
+    return new Paginator(fetchPage, Object.assign({map: i => this._scrubInvitation(i, 'toMember')}, options));
+  }
 
-    company.parentCompanyLinkedInId = this._scrubIdFromUrn(companyResponse.parentCompany);
-    company.linkedInId = this._scrubIdFromUrn(companyResponse.entityUrn);
+  /**
+   * Accepts a received invitation.
+   * @param  {Object} invitation {invitationId, sharedSecret} as listed by getReceivedInvitations.
+   * @return {Promise} resolves {success, invitationId}, rejects with an APIError subclass.
+   */
+  acceptInvitation(invitation) {
+    return this._replyToInvitation(invitation, 'accept');
+  }
 
-    if (companyResponse.hasOwnProperty('foundedOn')) {
-      company.foundedOn = companyResponse.foundedOn.year || '';
+  /**
+   * Ignores a received invitation.
+   * @param  {Object} invitation {invitationId, sharedSecret} as listed by getReceivedInvitations.
+   * @return {Promise} resolves {success, invitationId}, rejects with an APIError subclass.
+   */
+  ignoreInvitation(invitation) {
+    return this._replyToInvitation(invitation, 'ignore');
+  }
+
+  /**
+   * Withdraws a sent invitation.
+   * @param  {Object|String} invitation invitation as listed by getSentInvitations, or its id.
+   * @return {Promise} resolves {success, invitationId}, rejects with an APIError subclass.
+   */
+  withdrawInvitation(invitation) {
+    const invitationId = (invitation && invitation.invitationId) || this._getUrnId(invitation);
+    if (!invitationId) {
+      return Promise.reject(new Error('an invitation id is required'));
     }
 
-    if (companyResponse.hasOwnProperty('companyIndustries')) {
-      company.industries = companyResponse.companyIndustries.map(c => c.localizedName) || [];
+    return this._toActionResult(this._sendRequest(`${BASE_URL}/relationships/invitations/${invitationId}`, {
+      method: 'DELETE',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      resource: 'withdrawInvitation'
+    }), () => ({invitationId}));
+  }
+
+  /**
+   * Accepts or ignores a received invitation.
+   * @param  {Object} invitation {invitationId, sharedSecret}
+   * @param  {String} action     accept or ignore.
+   * @return {Promise}
+   */
+  _replyToInvitation(invitation, action) {
+    if (!invitation || !invitation.invitationId || !invitation.sharedSecret) {
+      return Promise.reject(new Error('an invitation with invitationId and sharedSecret is required'));
     }
 
-    if (companyResponse.hasOwnProperty('headquarter')) {
-      company.city = companyResponse.headquarter.city || '';
-      company.country = companyResponse.headquarter.country || '';
-      company.geographicArea = companyResponse.headquarter.geographicArea || '';
-      company.addr1 = companyResponse.headquarter.line1 || '';
-      company.addr2 = companyResponse.headquarter.line2 || '';
-      company.postalCode = companyResponse.headquarter.postalCode || '';
+    const url = `${BASE_URL}/relationships/invitations/${invitation.invitationId}?action=${action}`;
+    return this._toActionResult(this._sendRequest(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: this._getRequestHeaders(),
+      body: {
+        invitationId: invitation.invitationId,
+        invitationSharedSecret: invitation.sharedSecret,
+        isGenericInvitation: false
+      },
+      resource: `${action}Invitation`
+    }), () => ({invitationId: invitation.invitationId}));
+  }
+
+  /**
+   * Turns a successful write into {success: true} plus the given details,
+   * like sendMessage. Failed writes reject with their error.
+   * @param  {Promise} request
+   * @param  {Function} getDetails returns the fields to add to the result.
+   * @return {Promise}
+   */
+  _toActionResult(request, getDetails) {
+    return request
+    .then(() => Object.assign({success: true}, getDetails()));
+  }
+
+  /**
+   * Scrubs an invitation view.
+   * @param  {Object} invitationView
+   * @param  {String} memberField fromMember for received invitations, toMember for sent ones.
+   * @return {Object}
+   */
+  _scrubInvitation(invitationView, memberField) {
+    const invitation = invitationView.invitation || invitationView;
+    const miniProfile = invitation[memberField] || null;
+    const member = this._scrubMemberInfo(miniProfile ? {member: miniProfile} : null);
+    member.entityUrn = (miniProfile && miniProfile.entityUrn) || '';
+
+    return {
+      invitationId: this._getUrnId(invitation.entityUrn),
+      entityUrn: invitation.entityUrn || '',
+      sharedSecret: invitation.sharedSecret || '',
+      sentAt: invitation.sentTime || 0,
+      message: invitation.message || '',
+      member
+    };
+  }
+
+  /**
+   * Generates the random trackingId LinkedIn expects on invitations, 16
+   * random bytes in base64.
+   * @return {String}
+   */
+  _generateTrackingId() {
+    let bytes = '';
+    for (let i = 0; i < 16; i++) {
+      bytes += String.fromCharCode(Math.floor(Math.random() * 256));
     }
+    return btoa(bytes);
+  }
+
+  /**
+   * Builds the eventCreate payload of a text message.
+   * @param  {String} text
+   * @return {Object}
+   */
+  _buildMessageCreate(text) {
+    return {
+      value: {
+        'com.linkedin.voyager.messaging.create.MessageCreate': {
+          body: text,
+          attachments: [],
+          attributedBody: {text, attributes: []}
+        }
+      }
+    };
+  }
+
+  /**
+   * Finds the oldest timestamp in a page, messaging pages with createdBefore.
+   * @param  {Array} elements
+   * @param  {String} field
+   * @return {Number} undefined if the page is empty.
+   */
+  _getOldestTimestamp(elements, field) {
+    const timestamps = (elements || [])
+    .map(element => element[field])
+    .filter(timestamp => typeof timestamp === 'number');
+
+    return timestamps.length > 0 ? Math.min.apply(null, timestamps) : undefined;
+  }
+
+  /**
+   * Scrubs a messaging member into the member info shape.
+   * @param  {Object} messagingMember
+   * @return {Object}
+   */
+  _scrubMessagingMember(messagingMember) {
+    const member = messagingMember && messagingMember['com.linkedin.voyager.messaging.MessagingMember'];
+    const miniProfile = (member && member.miniProfile) || null;
+    const memberInfo = this._scrubMemberInfo(miniProfile ? {member: miniProfile} : null);
+    memberInfo.entityUrn = (miniProfile && miniProfile.entityUrn) || '';
+    return memberInfo;
+  }
+
+  /**
+   * Scrubs a conversation from the messaging API.
+   * @param  {Object} conversation
+   * @return {Object}
+   */
+  _scrubConversation(conversation) {
+    const lastEvent = (conversation.events || [])[0];
+    return {
+      conversationId: this._getUrnId(conversation.entityUrn),
+      entityUrn: conversation.entityUrn || '',
+      lastActivityAt: conversation.lastActivityAt || 0,
+      read: !!conversation.read,
+      unreadCount: conversation.unreadCount || 0,
+      participants: (conversation.participants || []).map(p => this._scrubMessagingMember(p)),
+      lastMessage: lastEvent ? this._scrubMessageEvent(lastEvent) : null
+    };
+  }
 
-    if (companyResponse.hasOwnProperty('followingInfo')) {
-      company.linkedInFollowerCount = companyResponse.followingInfo.followerCount || 0;
+  /**
+   * Scrubs a conversation event. Only message events are kept.
+   * @param  {Object} event
+   * @return {Object} null if the event is not a message.
+   */
+  _scrubMessageEvent(event) {
+    const content = event.eventContent && event.eventContent['com.linkedin.voyager.messaging.event.MessageEvent'];
+    if (!content) {
+      return null;
     }
 
-    if (companyResponse.hasOwnProperty('staffCount')) {
-      company.staffCount = companyResponse.staffCount || 0;
+    // the urn looks like urn:li:fs_event:(<conversation id>,<event id>)
+    const ids = (event.entityUrn || '').replace(/^.*\(|\)$/g, '').split(',');
+    return {
+      entityUrn: event.entityUrn || '',
+      conversationId: ids.length === 2 ? ids[0] : '',
+      createdAt: event.createdAt || 0,
+      text: (content.attributedBody && content.attributedBody.text) || content.body || '',
+      attachments: (content.attachments || []).map((attachment) => {
+        return {
+          name: attachment.name || '',
+          mediaType: attachment.mediaType || '',
+          url: (attachment.reference && attachment.reference.string) || ''
+        };
+      }),
+      sender: this._scrubMessagingMember(event.from)
+    };
+  }
+
+  /**
+   * Builds a Rest.li List parameter, List(key->value,key->value1|value2).
+   * Empty values are left out.
+   * @param  {Object} facets
+   * @return {String}
+   */
+  _buildListParam(facets) {
+    const pairs = Object.keys(facets)
+    .filter(key => facets[key] !== undefined && facets[key] !== null && facets[key] !== '')
+    .map((key) => {
+      const values = Array.isArray(facets[key]) ? facets[key] : [facets[key]];
+      return `${key}->${values.map(value => encodeURIComponent(value)).join('|')}`;
+    });
+    return `List(${pairs.join(',')})`;
+  }
+
+  /**
+   * Maps connection degrees to the network facet values.
+   * @param  {Number|String|Array} degrees 1, 2, 3 or F, S, O.
+   * @return {Array}
+   */
+  _toNetworkFacet(degrees) {
+    if (!degrees) {
+      return undefined;
     }
 
-    if (companyResponse.hasOwnProperty('logo') && companyResponse.logo.hasOwnProperty('image')) {
-      company.logo = this._scrubPathToResource(companyResponse.logo.image) || '';
+    const facetValues = {1: 'F', 2: 'S', 3: 'O'};
+    return (Array.isArray(degrees) ? degrees : [degrees])
+    .map(degree => facetValues[degree] || degree);
+  }
+
+  /**
+   * Scrubs a people search hit.
+   * @param  {Object} hit
+   * @return {Object} null if the hit is not a profile.
+   */
+  _scrubSearchHit(hit) {
+    const searchProfile = hit.hitInfo && hit.hitInfo['com.linkedin.voyager.search.SearchProfile'];
+    if (!searchProfile || !searchProfile.miniProfile) {
+      return null;
     }
 
-    if (companyResponse.hasOwnProperty('backgroundCoverImage') && companyResponse.backgroundCoverImage.hasOwnProperty('image')) {
-      company.backgroundCoverImage = this._scrubPathToResource(companyResponse.backgroundCoverImage.image) || '';
+    const memberInfo = this._scrubMemberInfo({member: searchProfile.miniProfile});
+    memberInfo.entityUrn = searchProfile.miniProfile.entityUrn || '';
+    memberInfo.location = searchProfile.location || '';
+    memberInfo.industry = searchProfile.industry || '';
+    memberInfo.connectionDegree = this._scrubDistance(searchProfile.distance);
+    return memberInfo;
+  }
+
+  /**
+   * Turns a distance object ({value: 'DISTANCE_2'}) into the connection degree.
+   * @param  {Object} distance
+   * @return {Number} 0 for the member itself, -1 when out of network.
+   */
+  _scrubDistance(distance) {
+    if (!distance || !distance.value) {
+      return -1;
     }
 
-    if (companyResponse.hasOwnProperty('backgroundCoverPhoto')) {
-      company.backgroundCoverPhoto = this._scrubPathToResource(companyResponse.backgroundCoverPhoto) || '';
+    if (distance.value === 'SELF') {
+      return 0;
     }
 
-    return company;
+    const degree = parseInt(distance.value.replace('DISTANCE_', ''), 10);
+    return isNaN(degree) ? -1 : degree;
   }
 
+  /**
+   * Builds the headers for a Voyager request. A plain object works with every
+   * fetch implementation, unlike Headers which Node only has since v18.
+   * @param  {Object} headers extra headers.
+   * @return {Object}
+   */
   _getRequestHeaders(headers) {
-    let h = new Headers();
-    h.append('csrf-token', this.csrfToken);
+    let h = {'csrf-token': this.csrfToken};
+    if (this.session) {
+      // the session follows JSESSIONID rotations, the token passed by hand does not.
+      h['csrf-token'] = this.session.getCsrfToken() || this.csrfToken;
+      h['cookie'] = this.session.getCookieString();
+    }
+
     if (headers && headers.constructor === Object) {
       Object.keys(headers).forEach((key) => {
-        h.append(key, headers[key]);
+        h[key] = headers[key];
       });
     }
     return h;
@@ -160,47 +1451,68 @@ export default class Voyager extends APIClient {
    * Fetches a resource from the identity/profiles API.
    * @param  {String} publicIdentifier
    * @param  {String} resource
-   * @return {Object}
+   * @param  {Object} options          {fresh, query} query string, without the ?
+   * @return {Promise} rejects with an APIError subclass tagged with the resource.
    */
-  _fetchProfileResource(publicIdentifier, resource) {
-    let url = `${BASE_URL}/identity/profiles/${publicIdentifier}/`;
-
-    if (!resource) {
-      url += 'profileView';
-    } else {
-      url += resource;
+  _fetchProfileResource(publicIdentifier, resource, options = {}) {
+    resource = resource || 'profileView';
+    let url = `${BASE_URL}/identity/profiles/${publicIdentifier}/${resource}`;
+    if (options.query) {
+      url += `?${options.query}`;
     }
 
-    return fetch(url, {
+    return this._sendRequest(url, {
       method: 'GET',
       credentials: 'same-origin',
-      headers: this._getRequestHeaders()
-    })
-    .then((res) => {
-      if (!res.ok) {
-        throw res;
-      }
-
-      return res.json();
-    })
-    .catch((err)=> {
-      console.error(err);
-      return Promise.resolve({});
+      headers: this._getRequestHeaders(),
+      resource,
+      fresh: !!options.fresh
     });
   }
 
   /**
    * Extracts the id from an urn string.
    * @param  {String} urn urn string
-   * @return {Number}
+   * @return {Number} null if urn is empty or its id is not numeric.
    */
   _scrubIdFromUrn(urn) {
     if (!urn) {
-      return '';
+      return null;
     }
 
     let pieces = urn.split(':');
-    return parseInt(pieces[pieces.length - 1], 10);
+    let id = parseInt(pieces[pieces.length - 1], 10);
+    return isNaN(id) ? null : id;
+  }
+
+  /**
+   * Resolves the profile id (ACoAA...) that urns and some endpoints use in
+   * place of the public identifier.
+   * @param  {String} publicIdentifierOrUrn public identifier or mini profile urn.
+   * @return {Promise}
+   */
+  _resolveProfileId(publicIdentifierOrUrn) {
+    if (publicIdentifierOrUrn.indexOf('urn:') === 0) {
+      return Promise.resolve(this._getUrnId(publicIdentifierOrUrn));
+    }
+
+    // networkinfo is the lightest profile resource that carries the id.
+    return this._fetchProfileResource(publicIdentifierOrUrn, 'networkinfo')
+    .then(res => this._getUrnId(res.entityUrn));
+  }
+
+  /**
+   * Extracts the id from an urn string, without parsing it. Ids like
+   * conversation ids do not fit in a Number and profile ids are not numeric.
+   * @param  {String} urn urn string
+   * @return {String}
+   */
+  _getUrnId(urn) {
+    if (!urn) {
+      return '';
+    }
+
+    return String(urn).split(':').pop();
   }
 
   /**
@@ -209,7 +1521,7 @@ export default class Voyager extends APIClient {
    * @return {String}
    */
   _scrubPathToResource(resource) {
-    if (resource.constructor !== Object) {
+    if (!resource || resource.constructor !== Object) {
       return '';
     }
 
@@ -230,14 +1542,15 @@ export default class Voyager extends APIClient {
    */
   _scrubMemberInfo(member) {
     if (!member) {
-      return {firstname: '', lastname: '', occupation: '', publicIdentifier: ''};
+      return {firstname: '', lastname: '', occupation: '', publicIdentifier: '', picture: ''};
     }
 
     let memberInfo = {
       firstname: (member.member && member.member.firstName) ? member.member.firstName : '',
       lastname: (member.member && member.member.lastName) ? member.member.lastName : '',
       occupation: (member.member && member.member.occupation) ? member.member.occupation : '',
-      publicIdentifier: (member.member && member.member.publicIdentifier) ? member.member.publicIdentifier : ''
+      publicIdentifier: (member.member && member.member.publicIdentifier) ? member.member.publicIdentifier : '',
+      picture: ''
     };
 
     if (member.member && member.member.hasOwnProperty('picture')) {
@@ -257,10 +1570,13 @@ export default class Voyager extends APIClient {
       description: patent.description || '',
       filingDate: patent.filingDate || {},
       issueDate: patent.issueDate || {},
+      filedOn: formatDate(patent.filingDate),
+      issuedOn: formatDate(patent.issueDate),
       number: patent.number || '',
-      pending: patent.pending,
+      pending: !!patent.pending,
       title: patent.title || '',
-      url: patent.url || ''
+      url: patent.url || '',
+      inventors: []
     };
 
     if (patent.hasOwnProperty('inventors') && patent.inventors.length > 0) {
@@ -279,10 +1595,12 @@ export default class Voyager extends APIClient {
   _scrubPublicationInfo(publication) {
     let publicationInfo = {
       date: publication.date || {},
+      publishedOn: formatDate(publication.date),
       description: publication.description || '',
       name: publication.name || '',
       publisher: publication.publisher || '',
-      url: publication.url || ''
+      url: publication.url || '',
+      authors: []
     };
 
     if (publication.hasOwnProperty('authors') && publication.authors.length > 0) {
@@ -298,15 +1616,16 @@ export default class Voyager extends APIClient {
    * @return {Object}
    */
   _scrubProjectInfo(project) {
-    let projectInfo = {
+    let projectInfo = Object.assign({
       description: project.description || '',
       timePeriod: project.timePeriod || {},
       title: project.title || '',
       url: project.url || '',
-    };
+      members: []
+    }, normalizeTimePeriod(project.timePeriod));
 
     if (project.hasOwnProperty('members') && project.members.length > 0) {
-      project.members = project.members.map(member => this._scrubMemberInfo(member));
+      projectInfo.members = project.members.map(member => this._scrubMemberInfo(member));
     }
     return projectInfo;
   }
@@ -317,25 +1636,21 @@ export default class Voyager extends APIClient {
    * @return {Object}
    */
   _scrubPositionInfo(position) {
-    let linkedInCompanyId = '';
-    if (position.companyUrn) {
-      let pieces = position.companyUrn.split(':');
-      linkedInCompanyId = parseInt(pieces[pieces.length - 1], 10);
-    }
-
-    let positionInfo = {
+    let positionInfo = Object.assign({
       locationName: position.locationName || '',
       companyName: position.companyName || '',
-      linkedInCompanyId: linkedInCompanyId,
+      linkedInCompanyId: this._scrubIdFromUrn(position.companyUrn),
       description: position.description || '',
       timePeriod: position.timePeriod || {},
       title: position.title || '',
-    };
+      company: null
+    }, normalizeTimePeriod(position.timePeriod));
 
-    if (position.hasOwnProperty('company')) {
+    if (position.company) {
       positionInfo.company = {
         employeeCountRange: position.company.employeeCountRange || {},
-        industries: position.company.industries || []
+        industries: position.company.industries || [],
+        logo: ''
       };
 
       if (position.company.hasOwnProperty('miniCompany') &&
@@ -352,18 +1667,21 @@ export default class Voyager extends APIClient {
    * @return {Object}
    */
   _scrubEducationInfo(education) {
-    let educationInfo = {
+    let educationInfo = Object.assign({
       activities: education.activities || '',
       degreeName: education.degreeName || '',
       fieldOfStudy: education.fieldOfStudy || '',
       timePeriod: education.timePeriod || {},
-      schoolName: education.schoolName || ''
-    };
+      schoolName: education.schoolName || '',
+      linkedInSchoolId: this._scrubIdFromUrn(education.schoolUrn || (education.school && education.school.entityUrn)),
+      school: null
+    }, normalizeTimePeriod(education.timePeriod));
 
-    if (education.hasOwnProperty('school')) {
+    if (education.school) {
       educationInfo.school = {
         active: education.school.active || false,
-        name: education.school.schoolName || ''
+        name: education.school.schoolName || '',
+        logo: ''
       };
 
       if (education.school.hasOwnProperty('logo')) {
@@ -374,16 +1692,132 @@ export default class Voyager extends APIClient {
     return educationInfo;
   }
 
+  /**
+   * Scrubs certification information from LinkedIn response.
+   * @param  {Object} certification
+   * @return {Object}
+   */
+  _scrubCertificationInfo(certification) {
+    return Object.assign({
+      name: certification.name || '',
+      authority: certification.authority || '',
+      licenseNumber: certification.licenseNumber || '',
+      url: certification.url || '',
+      linkedInCompanyId: this._scrubIdFromUrn(certification.companyUrn),
+      timePeriod: certification.timePeriod || {}
+    }, normalizeTimePeriod(certification.timePeriod));
+  }
+
+  /**
+   * Scrubs volunteer experience information from LinkedIn response.
+   * @param  {Object} volunteerExperience
+   * @return {Object}
+   */
+  _scrubVolunteerExperienceInfo(volunteerExperience) {
+    return Object.assign({
+      role: volunteerExperience.role || '',
+      companyName: volunteerExperience.companyName || '',
+      linkedInCompanyId: this._scrubIdFromUrn(volunteerExperience.companyUrn),
+      cause: volunteerExperience.cause || '',
+      description: volunteerExperience.description || '',
+      timePeriod: volunteerExperience.timePeriod || {}
+    }, normalizeTimePeriod(volunteerExperience.timePeriod));
+  }
+
+  /**
+   * Scrubs honor and award information from LinkedIn response.
+   * @param  {Object} honor
+   * @return {Object}
+   */
+  _scrubHonorInfo(honor) {
+    return {
+      title: honor.title || '',
+      issuer: honor.issuer || '',
+      description: honor.description || '',
+      issueDate: honor.issueDate || {},
+      issuedOn: formatDate(honor.issueDate)
+    };
+  }
+
+  /**
+   * Scrubs course information from LinkedIn response.
+   * @param  {Object} course
+   * @return {Object}
+   */
+  _scrubCourseInfo(course) {
+    return {
+      name: course.name || '',
+      number: course.number || ''
+    };
+  }
+
+  /**
+   * Scrubs test score information from LinkedIn response.
+   * @param  {Object} testScore
+   * @return {Object}
+   */
+  _scrubTestScoreInfo(testScore) {
+    return {
+      name: testScore.name || '',
+      score: testScore.score || '',
+      description: testScore.description || '',
+      date: testScore.date || {},
+      takenOn: formatDate(testScore.date)
+    };
+  }
+
+  /**
+   * Scrubs organization membership information from LinkedIn response.
+   * @param  {Object} organization
+   * @return {Object}
+   */
+  _scrubOrganizationInfo(organization) {
+    return Object.assign({
+      name: organization.name || '',
+      position: organization.position || '',
+      description: organization.description || '',
+      timePeriod: organization.timePeriod || {}
+    }, normalizeTimePeriod(organization.timePeriod));
+  }
+
+  /**
+   * Scrubs a received recommendation from LinkedIn response.
+   * @param  {Object} recommendation
+   * @return {Object}
+   */
+  _scrubRecommendationInfo(recommendation) {
+    return {
+      text: recommendation.recommendationText || '',
+      relationship: recommendation.relationship || '',
+      createdAt: recommendation.created || 0,
+      recommender: this._scrubMemberInfo(recommendation.recommender ? {member: recommendation.recommender} : null)
+    };
+  }
+
+  /**
+   * Scrubs a featured skill, with how many times it was endorsed, from
+   * LinkedIn response.
+   * @param  {Object} featuredSkill
+   * @return {Object}
+   */
+  _scrubSkillEndorsementInfo(featuredSkill) {
+    let skill = featuredSkill.skill || {};
+    return {
+      name: skill.name || '',
+      endorsementCount: skill.endorsementCount || 0
+    };
+  }
+
   /**
    * Scrubs website info from contactInfo LinkedIn response.
    * @param  {Object} website
    * @return {Object}
    */
   _scrubWebsiteInfo(website) {
-    let categoryType = Object.keys(website.type)[0];
+    let categoryType = Object.keys(website.type || {})[0];
     return {
-      website: website.url,
-      type: website.type[categoryType].category || 'Portfolio'
+      website: website.url || '',
+      type: (categoryType && website.type[categoryType].category) || 'Portfolio'
     };
   }
 
@@ -391,24 +1825,38 @@ export default class Voyager extends APIClient {
    * Takes a response from LinkedIn API. Manipulate its fields, tags the source
    * and returns an object that can be saved in our backend.
    * @param  {Object} profile LinkedIn Profile Information.
-   * @return {Object} Object that matches SocialProfile schema.
+   * @return {Object} Object that matches the SocialProfile schema, see schemas.js.
    */
   _scrubFullProfileResponse(profile) {
+    // profile.profile and the *View sections are missing when profileView failed.
+    let info = profile.profile || {};
+    let views = [
+      'educationView', 'patentView', 'publicationView', 'projectView', 'positionView', 'languageView', 'skillView',
+      'certificationView', 'volunteerExperienceView', 'honorView', 'courseView', 'testScoreView', 'organizationView',
+      'recommendationView', 'featuredSkillView'
+    ];
+    views.forEach((view) => {
+      if (!profile[view] || !Array.isArray(profile[view].elements)) {
+        profile[view] = {elements: []};
+      }
+    });
+
     let socialProfile = {source: 'LinkedIn'};
-    socialProfile.firstname = profile.profile.firstName || '';
-    socialProfile.lastname = profile.profile.lastName || '';
-    socialProfile.headline = profile.profile.headline || '';
-    socialProfile.industryName = profile.profile.industryName || '';
-    socialProfile.summary = profile.profile.summary || '';
-    socialProfile.location = profile.profile.locationName || '';
+    socialProfile.firstname = info.firstName || '';
+    socialProfile.lastname = info.lastName || '';
+    socialProfile.headline = info.headline || '';
+    socialProfile.industryName = info.industryName || '';
+    socialProfile.summary = info.summary || '';
+    socialProfile.location = info.locationName || '';
     socialProfile.emailAddress = profile.emailAddress || '';
-    socialProfile.publicIdentifier = profile.publicIdentifier;
-    socialProfile.occupation = profile.profile.miniProfile.occupation || '';
-    socialProfile.address = profile.profile.address || '';
+    socialProfile.publicIdentifier = profile.publicIdentifier || '';
+    socialProfile.occupation = (info.miniProfile && info.miniProfile.occupation) || '';
+    socialProfile.address = info.address || '';
     socialProfile.birthdate = profile.birthDateOn || {};
     socialProfile.phoneNumbers = [];
     socialProfile.twitterHandles = [];
     socialProfile.picture = '';
+    socialProfile.websites = [];
 
     if (profile.hasOwnProperty('phoneNumbers')) {
       socialProfile.phoneNumbers = profile.phoneNumbers;
@@ -418,9 +1866,9 @@ export default class Voyager extends APIClient {
       socialProfile.twitterHandles = profile.twitterHandles.map(twitter => twitter.name) || [];
     }
 
-    if (profile.profile.hasOwnProperty('pictureInfo') &&
-    profile.profile.pictureInfo.hasOwnProperty('masterImage')) {
-      socialProfile.picture = `${LI_CDN}${profile.profile.pictureInfo.masterImage}`;
+    if (info.hasOwnProperty('pictureInfo') &&
+    info.pictureInfo.hasOwnProperty('masterImage')) {
+      socialProfile.picture = `${LI_CDN}${info.pictureInfo.masterImage}`;
     }
 
     socialProfile.education = profile.educationView.elements.map(e => this._scrubEducationInfo(e)) || [];
@@ -430,17 +1878,24 @@ export default class Voyager extends APIClient {
     socialProfile.positions = profile.positionView.elements.map(p => this._scrubPositionInfo(p)) || [];
     socialProfile.languages = profile.languageView.elements.map(language => language.name) || [];
     socialProfile.skills = profile.skillView.elements.map(skill => skill.name) || [];
+    socialProfile.certifications = profile.certificationView.elements.map(c => this._scrubCertificationInfo(c));
+    socialProfile.volunteerExperiences = profile.volunteerExperienceView.elements.map(v => this._scrubVolunteerExperienceInfo(v));
+    socialProfile.honors = profile.honorView.elements.map(h => this._scrubHonorInfo(h));
+    socialProfile.courses = profile.courseView.elements.map(c => this._scrubCourseInfo(c));
+    socialProfile.testScores = profile.testScoreView.elements.map(t => this._scrubTestScoreInfo(t));
+    socialProfile.organizations = profile.organizationView.elements.map(o => this._scrubOrganizationInfo(o));
+    socialProfile.recommendations = profile.recommendationView.elements.map(r => this._scrubRecommendationInfo(r));
+    socialProfile.skillEndorsements = profile.featuredSkillView.elements.map(s => this._scrubSkillEndorsementInfo(s));
+    Object.assign(socialProfile, getExperience(socialProfile.positions));
 
-    if (profile.hasOwnProperty('websites') && profile.websites.length > 0) {
-      socialProfile.websites = profile.websites.map(w => this._scrubWebsiteInfo(w)) || [];
+    if (Array.isArray(profile.websites)) {
+      socialProfile.websites = profile.websites.map(w => this._scrubWebsiteInfo(w));
     }
 
     // there seems to be a bug with LinkedIns API where headline and occupation
     // are identical. Occupation should be current title at current company.
     if (socialProfile.headline === socialProfile.occupation) {
-      let currentPositions = profile.positionView.elements
-      .filter(p => p.hasOwnProperty('timePeriod') && p.timePeriod.hasOwnProperty('startDate') && !p.timePeriod.hasOwnProperty('endDate')) || [];
-      let currentPosition = currentPositions[0] || {};
+      let currentPosition = getCurrentPosition(socialProfile.positions) || {};
       socialProfile.occupation = currentPosition.title || '';
     }
 